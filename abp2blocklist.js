@@ -17,34 +17,451 @@
 
 "use strict";
 
-let readline = require("readline");
+let fs = require("fs");
 let {Filter} = require("./adblockpluscore/lib/filterClasses");
-let {ContentBlockerList} = require("./lib/abp2blocklist.js");
+let {ContentBlockerList, targets, genericblockStrategies,
+     formats} = require("./lib/abp2blocklist.js");
+let {hostsFormats} = require("./lib/hosts.js");
+let {EquivalenceChecker} = require("./lib/equivalence.js");
+let {Preprocessor} = require("./lib/preprocessor.js");
 
-var rl = readline.createInterface({input: process.stdin, terminal: false});
-var blockerList = new ContentBlockerList({merge: "all"});
+// The command line options. Those with an option property are passed on to
+// ContentBlockerList as that option.
+const commandLineOptions = [
+  {name: "output", short: "o", value: "FILE",
+   description: "Write the rules to FILE instead of standard output"},
+  {name: "base-dir", value: "DIR",
+   description: "Resolve !#include directives relative to the including " +
+                "file, but only allow files inside of DIR (default: the " +
+                "directory of each input FILE)"},
+  {name: "define", value: "SYMBOLS",
+   description: "Use the filters in !#if blocks whose condition is met by " +
+                "the comma-separated SYMBOLS, e.g. ext_safari,env_macos"},
+  {name: "format", value: "FORMAT", option: "format", choices: formats,
+   description: "Generate a WebKit content blocker list (webkit), " +
+                "declarativeNetRequest rules for Chromium and Firefox (dnr), " +
+                "a DNS-level block list for the hostnames blocked by " +
+                "filters like ||example.com^ (hosts, dnsmasq or unbound), " +
+                "or a proxy auto-config file (pac) (default webkit)"},
+  {name: "proxy", value: "HOST:PORT", option: "proxy",
+   description: "Send the requests blocked by the PAC file to this proxy, " +
+                "which shouldn't forward them (default 127.0.0.1:9)"},
+  {name: "merge", value: "none|auto|all", option: "merge",
+   choices: ["none", "auto", "all"],
+   description: "Merge similar rules to reduce their number, auto only " +
+                "merges if there are more rules than the rule limit " +
+                "(default all)"},
+  {name: "target", value: "NAME", option: "target",
+   choices: Object.keys(targets),
+   description: "Generate rules for this version of Safari, one of " +
+                Object.keys(targets).join(", ") + " (default safari-10)"},
+  {name: "genericblock", value: "STRATEGY", option: "genericblock",
+   choices: genericblockStrategies,
+   description: "How to convert $genericblock exceptions, unless-domain " +
+                "excludes their domains from every generic rule, " +
+                "exception-rules adds exception rules after the generic " +
+                "rules instead (default unless-domain)"},
+  {name: "rule-limit", value: "N", option: "ruleLimit", number: true,
+   description: "Maximum number of rules per list (default 50000)"},
+  {name: "split",
+   description: "Split up the rules into several lists under the rule " +
+                "limit, written to numbered files, e.g. output-1.json, " +
+                "output-2.json for --output output.json"},
+  {name: "compact",
+   description: "Write one rule per line instead of pretty-printed JSON"},
+  {name: "report", value: "FILE",
+   description: "Write a report of dropped and approximated filters to FILE"},
+  {name: "source-map", value: "FILE",
+   description: "Write the filters each rule originates from to FILE"},
+  {name: "metadata", value: "FILE",
+   description: "Write the filter list's metadata, e.g. its title, version " +
+                "and expiration, to FILE (of the first list if there are " +
+                "several)"},
+  {name: "snippets", value: "FILE",
+   description: "Write the snippet filters (#$#), which content blockers " +
+                "can't run, grouped by domain to FILE, for a companion " +
+                "extension to run them"},
+  {name: "emulation", value: "FILE",
+   description: "Write the element hiding emulation filters (#?#) that " +
+                "can't be converted, e.g. those using :-abp-contains(), " +
+                "grouped by domain to FILE, for a companion content script " +
+                "to apply them"},
+  {name: "check", value: "FILE",
+   description: "Compare the rules with Adblock Plus for the requests in " +
+                "FILE, a JSON array of objects with url, type, domain and " +
+                "optionally thirdParty and documentURL properties"},
+  {name: "check-report", value: "FILE",
+   description: "Write the requests handled differently by the rules, " +
+                "grouped by filter, to FILE"},
+  {name: "strict",
+   description: "Exit with status 1 if any filters had to be dropped, or " +
+                "--check found any differences"},
+  {name: "help", short: "h",
+   description: "Show this help and exit"}
+];
 
-rl.on("line", line =>
+function printUsage()
 {
-  if (/^\s*[^\[\s]/.test(line))
-    blockerList.addFilter(Filter.fromText(Filter.normalize(line)));
-});
+  let lines = [
+    "Usage: node abp2blocklist.js [OPTION]... [FILE]...",
+    "",
+    "Convert Adblock Plus filter lists to a WebKit content blocker list.",
+    "With no FILE, or when FILE is -, read standard input. Filters occurring",
+    "in several lists are only converted once.",
+    "",
+    "Options:"
+  ];
 
-rl.on("close", () =>
+  for (let {name, short, value, description} of commandLineOptions)
+  {
+    lines.push((short ? "  -" + short + ", " : "      ") + "--" + name +
+               (value ? " " + value : ""));
+
+    let line = "       ";
+    for (let word of description.split(" "))
+    {
+      if (line.length + word.length >= 80)
+      {
+        lines.push(line);
+        line = "       ";
+      }
+      line += " " + word;
+    }
+    lines.push(line);
+  }
+
+  lines.push("",
+             "Exit status is 0 on success, 1 if the conversion failed or " +
+             "--strict was",
+             "given and filters were dropped or the rules differ from " +
+             "Adblock Plus, and 2",
+             "for invalid options.");
+
+  console.log(lines.join("\n"));
+}
+
+function parseArguments(args)
+{
+  let inputs = [];
+  let values = {};
+  let options = {merge: "all"};
+
+  for (let i = 0; i < args.length; i++)
+  {
+    let arg = args[i];
+
+    if (arg == "-" || arg[0] != "-")
+    {
+      inputs.push(arg);
+      continue;
+    }
+
+    let match = /^(?:--([^=]+)|-([^-]))(?:=(.*))?$/.exec(arg);
+    let commandLineOption = match && commandLineOptions.find(
+      ({name, short}) => name == match[1] || (short && short == match[2])
+    );
+    if (!commandLineOption)
+      throw new Error("Unknown option: " + arg);
+
+    let {name, value, option, choices, number} = commandLineOption;
+    let optionValue = true;
+
+    if (value)
+    {
+      optionValue = typeof match[3] == "string" ? match[3] : args[++i];
+      if (typeof optionValue != "string")
+        throw new Error("Missing value for --" + name);
+
+      if (choices && !choices.includes(optionValue))
+        throw new Error("Invalid value for --" + name + ": " + optionValue);
+
+      if (number)
+      {
+        optionValue = Number(optionValue);
+        if (!(Number.isInteger(optionValue) && optionValue > 0))
+          throw new Error("Invalid number for --" + name);
+      }
+    }
+    else if (typeof match[3] == "string")
+    {
+      throw new Error("--" + name + " doesn't take a value");
+    }
+
+    values[name] = optionValue;
+    if (option)
+      options[option] = optionValue;
+  }
+
+  if (inputs.length == 0)
+    inputs.push("-");
+
+  if (values["source-map"] || values.check)
+    options.sourceMap = true;
+
+  if (values.snippets)
+    options.snippets = true;
+
+  if (values.emulation)
+    options.emulation = true;
+
+  if (values.split && !values.output)
+    throw new Error("--split requires --output");
+
+  if (values["check-report"] && !values.check)
+    throw new Error("--check-report requires --check");
+
+  if (options.format && options.format != "webkit" &&
+      (values.split || values.check))
+  {
+    throw new Error("--" + (values.split ? "split" : "check") +
+                    " isn't supported for --format " + options.format);
+  }
+
+  return {inputs, values, options};
+}
+
+function readInput(input)
+{
+  if (input != "-")
+    return Promise.resolve(fs.readFileSync(input, "utf-8"));
+
+  return new Promise((resolve, reject) =>
+  {
+    let chunks = [];
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", chunk => chunks.push(chunk));
+    process.stdin.on("error", reject);
+    process.stdin.on("end", () => resolve(chunks.join("")));
+  });
+}
+
+function readFilters(blockerList, input, preprocessor)
 {
-  blockerList.generateRules().then(rules =>
+  return readInput(input).then(text =>
   {
-    // If the rule set is too huge, JSON.stringify throws
-    // "RangeError: Invalid string length" on Node.js. As a workaround, print
-    // each rule individually.
-    console.log("[");
-    if (rules.length > 0)
+    for (let {text: line, origin} of preprocessor.process(text, input))
     {
-      let stringifyRule = rule => JSON.stringify(rule, null, "\t");
-      for (let i = 0; i < rules.length - 1; i++)
-        console.log(stringifyRule(rules[i]) + ",");
-      console.log(stringifyRule(rules[rules.length - 1]));
+      if (/^\s*\[/.test(line))
+      {
+        blockerList.addHeader(line);
+      }
+      else if (/^\s*\S/.test(line))
+      {
+        if (origin.file == "-")
+          origin = {line: origin.line};
+
+        blockerList.addFilter(Filter.fromText(Filter.normalize(line)),
+                              origin);
+      }
     }
-    console.log("]");
   });
-});
+}
+
+function getNumberedFile(file, number)
+{
+  let match = /^(.*?)(\.[^./]*)?$/.exec(file);
+  return match[1] + "-" + number + (match[2] || "");
+}
+
+function writeArray(write, items, stringify)
+{
+  // If the array is too huge, JSON.stringify throws
+  // "RangeError: Invalid string length" on Node.js. As a workaround, write
+  // each item individually.
+  write("[");
+  for (let i = 0; i < items.length; i++)
+    write(stringify(items[i]) + (i < items.length - 1 ? "," : ""));
+  write("]");
+}
+
+function writeArrayToFile(file, items, stringify)
+{
+  if (!file)
+  {
+    writeArray(console.log, items, stringify);
+    return;
+  }
+
+  let fd = fs.openSync(file, "w");
+  writeArray(line => fs.writeSync(fd, line + "\n"), items, stringify);
+  fs.closeSync(fd);
+}
+
+function writeRules(blockerList, values)
+{
+  // Resolves with the lists of rules, along with their source maps.
+  if (hostsFormats.includes(values.format) || values.format == "pac")
+  {
+    return blockerList.generateRules().then(lines =>
+    {
+      let text = lines.map(line => line + "\n").join("");
+      if (values.output)
+        fs.writeFileSync(values.output, text);
+      else
+        process.stdout.write(text);
+
+      if (values["source-map"])
+      {
+        writeArrayToFile(values["source-map"], blockerList.sourceMap,
+                         sources => JSON.stringify(sources));
+      }
+
+      return [[lines, blockerList.sourceMap]];
+    });
+  }
+
+  let stringifyRule = rule => JSON.stringify(rule, null, "\t");
+  if (values.compact)
+    stringifyRule = rule => JSON.stringify(rule);
+  let stringifySources = sources => JSON.stringify(sources);
+
+  if (values.split)
+  {
+    return blockerList.generateRuleLists().then(lists =>
+    {
+      lists.forEach((rules, index) =>
+      {
+        writeArrayToFile(getNumberedFile(values.output, index + 1), rules,
+                         stringifyRule);
+
+        if (values["source-map"])
+        {
+          writeArrayToFile(getNumberedFile(values["source-map"], index + 1),
+                           blockerList.sourceMap[index], stringifySources);
+        }
+      });
+
+      return lists.map((rules, index) => [rules,
+                                          blockerList.sourceMap &&
+                                          blockerList.sourceMap[index]]);
+    });
+  }
+
+  return blockerList.generateRules().then(rules =>
+  {
+    writeArrayToFile(values.output, rules, stringifyRule);
+
+    if (values["source-map"])
+    {
+      writeArrayToFile(values["source-map"], blockerList.sourceMap,
+                       stringifySources);
+    }
+
+    return [[rules, blockerList.sourceMap]];
+  });
+}
+
+function checkRules(blockerList, lists, values)
+{
+  let requests = JSON.parse(fs.readFileSync(values.check, "utf-8"));
+  let checker = new EquivalenceChecker(blockerList.filterOrigins.keys());
+
+  for (let [rules, sourceMap] of lists)
+    checker.addRuleList(rules, sourceMap);
+
+  let result = checker.check(requests);
+  let {summary} = result;
+
+  if (values["check-report"])
+  {
+    fs.writeFileSync(values["check-report"],
+                     JSON.stringify(result, null, "\t") + "\n");
+  }
+
+  console.error("abp2blocklist: " + summary.matching + " of " +
+                summary.requests + " request(s) handled like Adblock Plus, " +
+                summary.falsePositives + " false positive(s), " +
+                summary.falseNegatives + " false negative(s)");
+
+  return summary.falsePositives + summary.falseNegatives == 0;
+}
+
+function main(args)
+{
+  let parsed;
+
+  try
+  {
+    parsed = parseArguments(args);
+  }
+  catch (e)
+  {
+    console.error("abp2blocklist: " + e.message);
+    console.error("Try --help for more information.");
+    process.exitCode = 2;
+    return;
+  }
+
+  let {inputs, values, options} = parsed;
+
+  if (values.help)
+  {
+    printUsage();
+    return;
+  }
+
+  let blockerList = new ContentBlockerList(options);
+  let preprocessor = new Preprocessor({
+    baseDir: values["base-dir"],
+    defines: (values.define || "").split(",").filter(symbol => symbol)
+  });
+
+  inputs.reduce(
+    (promise, input) => promise.then(
+      () => readFilters(blockerList, input, preprocessor)
+    ),
+    Promise.resolve()
+  ).then(() => writeRules(blockerList, values)).then(lists =>
+  {
+    let equivalent = true;
+
+    if (values.metadata)
+    {
+      fs.writeFileSync(values.metadata,
+                       JSON.stringify(blockerList.metadata, null, "\t") + "\n");
+    }
+
+    if (values.snippets)
+    {
+      fs.writeFileSync(values.snippets,
+                       JSON.stringify(blockerList.generateSnippets(), null,
+                                      "\t") + "\n");
+    }
+
+    if (values.emulation)
+    {
+      fs.writeFileSync(values.emulation,
+                       JSON.stringify(blockerList.generateEmulationFilters(),
+                                      null, "\t") + "\n");
+    }
+
+    // Generating the element hiding emulation filters might drop some more
+    // filters, so the report has to be written afterwards.
+    let report = blockerList.report.toJSON();
+
+    if (values.report)
+    {
+      fs.writeFileSync(values.report,
+                       JSON.stringify(report, null, "\t") + "\n");
+    }
+
+    if (values.check)
+      equivalent = checkRules(blockerList, lists, values);
+
+    if (values.strict && report.summary.dropped > 0)
+    {
+      console.error("abp2blocklist: " + report.summary.dropped +
+                    " filter(s) dropped");
+      process.exitCode = 1;
+    }
+
+    if (values.strict && !equivalent)
+      process.exitCode = 1;
+  }).catch(e =>
+  {
+    console.error("abp2blocklist: " + e.message);
+    process.exitCode = 1;
+  });
+}
+
+main(process.argv.slice(2));
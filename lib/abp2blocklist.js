@@ -19,7 +19,15 @@
 
 "use strict";
 
+let {domainToASCII} = require("url");
 let filterClasses = require("../adblockpluscore/lib/filterClasses");
+let {ConversionReport} = require("./report");
+let {translateRegExp} = require("./regexp");
+let {parseScript} = require("./snippets");
+let {convertFilters: convertFiltersToDNR,
+     checkRegExp: checkDNRRegExp} = require("./dnr");
+let {hostsFormats, generateHostsList} = require("./hosts");
+let {generatePAC} = require("./pac");
 
 const selectorLimit = 5000;
 const typeMap = filterClasses.RegExpFilter.typeMap;
@@ -45,6 +53,79 @@ const rawRequestTypes = typeMap.XMLHTTPREQUEST |
 const whitelistableRequestTypes = httpRequestTypes |
                                   typeMap.WEBSOCKET |
                                   typeMap.WEBRTC;
+const defaultContentType = filterClasses.RegExpFilter.prototype.contentType;
+
+/**
+ * The versions of Safari we can generate content blocker lists for, along with
+ * the WebKit features we can rely on for each of them:
+ *   topURL: the "if-top-url" and "unless-top-url" trigger properties
+ *   loadContext: the "load-context" trigger property
+ *   hasSelector: the CSS :has() pseudo-class in selectors
+ *   frameURL: the "if-frame-url" trigger property
+ *   extendedResourceTypes: the "fetch", "websocket", "ping" and "other"
+ *     resource types, which are more specific than "raw"
+ *   elemhideExceptionRules: "ignore-previous-rules" rules reliably apply to
+ *     "css-display-none" rules (WebKit bug #167423 is fixed)
+ */
+const targets = exports.targets = {
+  "safari-10": {},
+  "safari-11": {topURL: true},
+  "safari-15": {topURL: true, loadContext: true, elemhideExceptionRules: true},
+  "safari-15.4": {topURL: true, loadContext: true, elemhideExceptionRules: true,
+                  hasSelector: true},
+  "safari-16.4": {topURL: true, loadContext: true, elemhideExceptionRules: true,
+                  hasSelector: true, frameURL: true,
+                  extendedResourceTypes: true}
+};
+
+/**
+ * The ways $genericblock exceptions can be converted:
+ *   unless-domain: exclude the domains from every generic blocking rule
+ *   exception-rules: add "ignore-previous-rules" rules for the domains after
+ *     the generic blocking rules, which is more compact, but can't prevent
+ *     frames from being blocked
+ */
+const genericblockStrategies = exports.genericblockStrategies =
+  ["unless-domain", "exception-rules"];
+
+/**
+ * The formats the rules can be generated in:
+ *   webkit: WebKit content blocker lists for Safari
+ *   dnr: declarativeNetRequest rules for Manifest V3 extensions in Chromium
+ *     and Firefox, which only block requests (see lib/dnr.js)
+ *   hosts, dnsmasq, unbound: DNS-level block lists, which only block
+ *     hostnames (see lib/hosts.js)
+ *   pac: a proxy auto-config file sending blocked requests to a proxy which
+ *     doesn't forward them (see lib/pac.js)
+ */
+const formats = exports.formats = ["webkit", "dnr", ...hostsFormats, "pac"];
+
+// The metadata Adblock Plus recognizes in the comments at the top of a filter
+// list, e.g. "! Expires: 4 days".
+const metadataKeys = new Set(["title", "version", "expires", "homepage",
+                              "redirect"]);
+
+// Adblock Plus doesn't update filter lists more often than every hour, or less
+// often than every 14 days, regardless of what they specify.
+const minExpiration = 60 * 60;
+const maxExpiration = 14 * 24 * 60 * 60;
+
+/**
+ * Parse the "Expires" metadata of a filter list, like Adblock Plus does
+ *
+ * @param {string} expires e.g. "4 days" or "12 hours"
+ * @returns {?number} The update interval in seconds, or null if it can't be
+ *                    parsed
+ */
+function parseExpires(expires)
+{
+  let match = /^(\d+)\s*(h)?/.exec(expires);
+  if (!match)
+    return null;
+
+  let seconds = parseInt(match[1], 10) * (match[2] ? 60 * 60 : 24 * 60 * 60);
+  return Math.min(Math.max(seconds, minExpiration), maxExpiration);
+}
 
 function callLater(func)
 {
@@ -104,6 +185,46 @@ function async(callees, mapFunction)
   return promise;
 }
 
+/**
+ * Convert an internationalized hostname to punycode, as WebKit only accepts
+ * ASCII hostnames, e.g. "münchen.de" becomes "xn--mnchen-3ya.de". A port
+ * following the hostname is kept as is.
+ *
+ * @param   {string} hostname
+ * @returns {?string} The ASCII hostname or null if the hostname is invalid
+ */
+function toASCIIHostname(hostname)
+{
+  if (!/[^\x00-\x7F]/.test(hostname))
+    return hostname;
+
+  let [, name, port] = /^([^:]*)(.*)$/.exec(hostname);
+  name = domainToASCII(name);
+  return name ? name + port : null;
+}
+
+function hasValidHostnames(filter)
+{
+  if (filter.domains)
+  {
+    for (let domain of filter.domains.keys())
+    {
+      if (domain != "" && !toASCIIHostname(domain))
+        return false;
+    }
+  }
+
+  // The hostname is left as is if it can't be converted to punycode.
+  if (filter instanceof filterClasses.RegExpFilter && filter.pattern != null)
+  {
+    let parsed = parseFilterRegexpSource(filter.pattern);
+    if (/[^\x00-\x7F]/.test(parsed.regexp))
+      return false;
+  }
+
+  return true;
+}
+
 function parseDomains(domains, included, excluded)
 {
   if (!domains)
@@ -113,6 +234,7 @@ function parseDomains(domains, included, excluded)
   {
     if (domain != "")
     {
+      domain = toASCIIHostname(domain);
       if (!enabled)
         excluded.push(domain);
       else if (!domains[""])
@@ -173,27 +295,228 @@ function findSubdomainsInList(domain, list)
   return subdomains;
 }
 
-function extractFilterDomains(filters)
+function reportUnsupportedOption(report, filter, option, reason)
+{
+  // If the filter has other options which we can still convert, it's only
+  // approximated.
+  if (filter.contentType & ~option & (typeMap.DOCUMENT |
+                                      whitelistableRequestTypes |
+                                      typeMap.GENERICBLOCK |
+                                      typeMap.ELEMHIDE |
+                                      typeMap.GENERICHIDE))
+    report.approximated(filter, reason);
+  else
+    report.dropped(filter, reason);
+}
+
+/**
+ * Get the hostname a request filter's pattern matches all URLs of, including
+ * those of its subdomains, if it doesn't match any other URLs, i.e. for
+ * filters like "||example.com^".
+ *
+ * @param {Filter} filter
+ * @returns {?string}
+ */
+function getFilterHostname(filter)
+{
+  let parsed = filter.pattern != null &&
+               parseFilterRegexpSource(filter.pattern);
+
+  // Filters like "||example.com" also match "example.community", and ports
+  // can't be blocked by hostname.
+  if (parsed && parsed.justHostname && filter.pattern.endsWith("^") &&
+      /^[\w.-]+$/.test(parsed.hostname))
+    return parsed.hostname;
+
+  return null;
+}
+
+/**
+ * Check whether a request filter only applies to some of the requests its
+ * pattern matches, due to its $domain, $third-party or type options. Those
+ * can't be taken into account for DNS-level block lists and PAC files, which
+ * only know about the URL of a request.
+ *
+ * @param {Filter} filter
+ * @returns {?string} The reason code for the option restricting the filter,
+ *                    or null
+ */
+function getFilterRestriction(filter)
+{
+  if (filter.domains)
+    return "domain_restricted";
+  if (filter.thirdParty != null)
+    return "third_party_restricted";
+  if (filter.contentType != defaultContentType)
+    return "type_restricted";
+
+  return null;
+}
+
+/**
+ * Generate a regular expression matching the URLs of the top-level documents
+ * an exception filter applies to, to be used for "if-top-url" or
+ * "unless-top-url".
+ *
+ * @param {object} parsed The filter's pattern, see parseFilterRegexpSource()
+ * @returns {string}
+ */
+function getTopURLFilter(parsed)
+{
+  let regexp = parsed.regexp;
+  if (regexp[0] != "^")
+    regexp = "^https?://.*" + regexp;
+  return regexp;
+}
+
+/**
+ * Find the documents element hiding exceptions apply to. Exceptions with just
+ * a hostname are applied to the domain, other exceptions to the URLs of the
+ * top-level document if the target supports it, or else to their hostname.
+ *
+ * @param {Filter[]} filters
+ * @param {number} option typeMap.ELEMHIDE or typeMap.GENERICHIDE
+ * @param {object} features
+ * @param {ConversionReport} report
+ * @returns {object} The domains and the regular expressions for the top-level
+ *                   URLs, along with their hostname:
+ *                     {domains: Set, urls: [{regexp: "...", hostname: "..."}]}
+ */
+function extractFilterExceptions(filters, option, features, report)
 {
   let domains = new Set();
+  let urls = [];
   for (let filter of filters)
   {
-    let parsed = parseFilterRegexpSource(filter.pattern);
-    if (parsed.justHostname)
+    let parsed = filter.pattern != null &&
+                 parseFilterRegexpSource(filter.pattern);
+    if (parsed && parsed.justHostname)
+    {
+      domains.add(parsed.hostname);
+      report.approximated(filter, "elemhide_exception_top_level_only");
+    }
+    else if (parsed && features.topURL)
+    {
+      urls.push({regexp: getTopURLFilter(parsed), hostname: parsed.hostname});
+      report.approximated(filter, "elemhide_exception_top_level_only");
+    }
+    else if (parsed && parsed.hostname)
+    {
       domains.add(parsed.hostname);
+      report.approximated(filter, "elemhide_exception_hostname_only");
+    }
+    else
+    {
+      reportUnsupportedOption(report, filter, option,
+                              "elemhide_exception_not_hostname");
+    }
+  }
+  return {domains, urls};
+}
+
+/**
+ * Find the documents $genericblock exceptions apply to. Exceptions with just
+ * a hostname are applied to the domain, other exceptions to the URLs of the
+ * top-level document if the target supports it, or else to their hostname.
+ *
+ * @param {Filter[]} filters
+ * @param {object} features
+ * @param {ConversionReport} report
+ * @returns {object} The domains, the regular expressions for the top-level
+ *                   URLs and the exceptions which could be converted:
+ *                     {domains: [...], urls: [...], filters: [...]}
+ */
+function extractGenericblockExceptions(filters, features, report)
+{
+  let domains = [];
+  let urls = [];
+  let convertedFilters = [];
+
+  for (let filter of filters)
+  {
+    let parsed = filter.pattern != null &&
+                 parseFilterRegexpSource(filter.pattern);
+    if (parsed && parsed.justHostname)
+    {
+      domains.push(parsed.hostname);
+    }
+    else if (parsed && features.topURL)
+    {
+      urls.push(getTopURLFilter(parsed));
+    }
+    else if (parsed && parsed.hostname)
+    {
+      domains.push(parsed.hostname);
+      report.approximated(filter, "genericblock_hostname_only");
+    }
+    else
+    {
+      reportUnsupportedOption(report, filter, typeMap.GENERICBLOCK,
+                              "genericblock_no_hostname");
+      continue;
+    }
+
+    convertedFilters.push(filter);
   }
-  return domains;
+
+  return {domains, urls, filters: convertedFilters};
+}
+
+/**
+ * Convert the selector of an element hiding emulation filter into a CSS
+ * selector, which is only possible if it doesn't use any of the
+ * pseudo-classes that Adblock Plus implements itself, except for
+ * ":-abp-has()", which corresponds to ":has()".
+ *
+ * @param {string} selector
+ * @returns {object} The CSS selector, or the reason why the selector can't be
+ *                   converted:
+ *                     {selector: "...", reason: null}
+ */
+function convertEmulationSelector(selector)
+{
+  let reason = null;
+
+  if (/:-abp-contains\(/i.test(selector))
+    reason = "elemhide_emulation_contains";
+  else if (/:-abp-properties\(/i.test(selector))
+    reason = "elemhide_emulation_properties";
+  else if (/:-abp-(?!has\()/i.test(selector))
+    reason = "elemhide_emulation";
+
+  if (reason)
+    return {selector: null, reason};
+
+  return {selector: selector.replace(/:-abp-has\(/gi, ":has("), reason};
 }
 
-function convertElemHideFilter(filter, elemhideSelectorExceptions)
+function convertElemHideFilter(filter, elemhideSelectorExceptions, features,
+                               report)
 {
   let included = [];
   let excluded = [];
 
   parseDomains(filter.domains, included, excluded);
 
-  if (excluded.length == 0 && !(filter.selector in elemhideSelectorExceptions))
-    return {matchDomains: included, selector: filter.selector};
+  // The domains that element hiding exceptions for the same selector apply
+  // to, null if any of them applies to all domains.
+  let exceptionDomains = [];
+  if (elemhideSelectorExceptions.has(filter.selector))
+    exceptionDomains = elemhideSelectorExceptions.get(filter.selector);
+
+  let selector = filter.selector;
+  if (filter instanceof filterClasses.ElemHideEmulationFilter)
+    selector = convertEmulationSelector(selector).selector;
+
+  // Since selectors are combined into a single rule, a selector that the
+  // target doesn't support would break all the other selectors as well.
+  if (!features.hasSelector && /:has\(/i.test(selector))
+    report.dropped(filter, "unsupported_selector");
+  else if (!exceptionDomains)
+    report.dropped(filter, "elemhide_selector_exception");
+  else
+    return {matchDomains: included, selector,
+            exceptionDomains: excluded.concat(exceptionDomains)};
 }
 
 /**
@@ -225,7 +548,7 @@ function parseFilterRegexpSource(text, urlScheme)
   let canSafelyMatchAsLowercase = false;
 
   if (!urlScheme)
-    urlScheme = getURLSchemes()[0];
+    urlScheme = getURLSchemes(httpRequestTypes)[0];
 
   for (let i = 0; i < text.length; i++)
   {
@@ -243,6 +566,7 @@ function parseFilterRegexpSource(text, urlScheme)
 
       hostname = text.slice(hostnameStart, endingChar ? i : i + 1)
                      .toLowerCase();
+      hostname = toASCIIHostname(hostname) || hostname;
 
       hostnameFinished = justHostname = true;
       regexp.push(escapeRegExp(hostname));
@@ -316,7 +640,24 @@ function parseFilterRegexpSource(text, urlScheme)
         if (hostnameFinished && (c >= "a" && c <= "z" ||
                                  c >= "A" && c <= "Z"))
           canSafelyMatchAsLowercase = false;
-        regexp.push(c == "%" ? c : encodeURI(c));
+
+        // Characters outside of the Basic Multilingual Plane are made up of
+        // two UTF-16 code units, which have to be percent-encoded together.
+        if (c >= "\uD800" && c <= "\uDBFF" && i < lastIndex)
+          c += text[++i];
+
+        if (c == "%")
+        {
+          regexp.push(c);
+        }
+        else
+        {
+          // Percent-encoded characters in URLs use upper case hex digits.
+          let encoded = encodeURI(c);
+          if (encoded != c)
+            canSafelyMatchAsLowercase = false;
+          regexp.push(encoded);
+        }
     }
   }
 
@@ -328,7 +669,7 @@ function parseFilterRegexpSource(text, urlScheme)
   };
 }
 
-function getResourceTypes(contentType)
+function getResourceTypes(contentType, features)
 {
   let types = [];
 
@@ -344,8 +685,22 @@ function getResourceTypes(contentType)
     types.push("media");
   if (contentType & typeMap.POPUP)
     types.push("popup");
-  if (contentType & rawRequestTypes)
+  if (features.extendedResourceTypes)
+  {
+    if (contentType & typeMap.XMLHTTPREQUEST)
+      types.push("fetch");
+    if (contentType & typeMap.WEBSOCKET)
+      types.push("websocket");
+    if (contentType & typeMap.PING)
+      types.push("ping");
+    if (contentType & (typeMap.OTHER | typeMap.OBJECT_SUBREQUEST |
+                       typeMap.WEBRTC))
+      types.push("other");
+  }
+  else if (contentType & rawRequestTypes)
+  {
     types.push("raw");
+  }
   if (contentType & typeMap.SUBDOCUMENT)
     types.push("document");
 
@@ -386,15 +741,20 @@ function makeRuleCopies(trigger, action, urlSchemes)
   return copies;
 }
 
-function excludeTopURLFromTrigger(trigger)
+function excludeTopURLFromTrigger(trigger, excludedDomains, excludedURLs)
 {
   trigger["unless-top-url"] = [trigger["url-filter"]];
+  for (let name of excludedDomains)
+    trigger["unless-top-url"].push(matchDomain(name));
+  if (excludedURLs)
+    trigger["unless-top-url"].push(...excludedURLs);
   if (trigger["url-filter-is-case-sensitive"])
     trigger["top-url-filter-is-case-sensitive"] = true;
 }
 
 function convertFilterAddRules(rules, filter, action, withResourceTypes,
-                               exceptionDomains, contentType)
+                               exceptionDomains, exceptionURLs, features,
+                               report, contentType, regexp)
 {
   if (!contentType)
     contentType = filter.contentType;
@@ -416,13 +776,15 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
     if (contentType & typeMap.WEBSOCKET)
     {
       convertFilterAddRules(rules, filter, action, withResourceTypes,
-                            exceptionDomains, typeMap.WEBSOCKET);
+                            exceptionDomains, exceptionURLs, features, report,
+                            typeMap.WEBSOCKET);
     }
 
     if (contentType & typeMap.WEBRTC)
     {
       convertFilterAddRules(rules, filter, action, withResourceTypes,
-                            exceptionDomains, typeMap.WEBRTC);
+                            exceptionDomains, exceptionURLs, features, report,
+                            typeMap.WEBRTC);
     }
 
     contentType &= ~(typeMap.WEBSOCKET | typeMap.WEBRTC);
@@ -431,14 +793,55 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
       return;
   }
 
+  // If the target supports the "load-context" property, we generate a
+  // separate rule for sub-document requests, so that it can be restricted to
+  // child frames without affecting any other types of requests.
+  if (features.loadContext && withResourceTypes &&
+      filter instanceof filterClasses.BlockingFilter &&
+      contentType & typeMap.SUBDOCUMENT && contentType != typeMap.SUBDOCUMENT)
+  {
+    convertFilterAddRules(rules, filter, action, withResourceTypes,
+                          exceptionDomains, exceptionURLs, features, report,
+                          typeMap.SUBDOCUMENT);
+
+    contentType &= ~typeMap.SUBDOCUMENT;
+  }
+
   let urlSchemes = getURLSchemes(contentType);
-  let parsed = parseFilterRegexpSource(filter.pattern, urlSchemes[0]);
+  let parsed;
+
+  if (filter.pattern != null)
+  {
+    parsed = parseFilterRegexpSource(filter.pattern, urlSchemes[0]);
+  }
+  else if (regexp != null)
+  {
+    // Regular expression filters are matched case-insensitively unless the
+    // matchCase option was passed, and we don't know about their hostname.
+    parsed = {regexp, canSafelyMatchAsLowercase: false, justHostname: false};
+  }
+  else
+  {
+    // A regular expression filter might have to be translated into several
+    // regular expressions, we generate rules for each of them.
+    for (regexp of translateRegExp(filter.regexp.source).regexps)
+    {
+      convertFilterAddRules(rules, filter, action, withResourceTypes,
+                            exceptionDomains, exceptionURLs, features, report,
+                            contentType, regexp);
+    }
+    return;
+  }
+
+  // The $domain and $third-party options of $document whitelisting filters
+  // can't be combined with "if-domain" or "if-top-url".
+  let restricted = filter.domains || filter.thirdParty != null;
 
   // For the special case of $document whitelisting filters with just a domain
   // we can generate an equivalent blocking rule exception using if-domain.
   if (filter instanceof filterClasses.WhitelistFilter &&
       contentType & typeMap.DOCUMENT &&
-      parsed.justHostname)
+      parsed.justHostname && !restricted)
   {
     rules.push({
       trigger: {
@@ -452,6 +855,33 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
     if (!(contentType & whitelistableRequestTypes))
       return;
   }
+  else if (filter instanceof filterClasses.WhitelistFilter &&
+           contentType & typeMap.DOCUMENT && features.topURL &&
+           !restricted)
+  {
+    // Otherwise we can match the URL of the top-level document, if the target
+    // supports it.
+    let trigger = {"url-filter": ".*", "if-top-url": [getTopURLFilter(parsed)]};
+
+    if (parsed.canSafelyMatchAsLowercase && !filter.matchCase)
+      trigger["if-top-url"][0] = trigger["if-top-url"][0].toLowerCase();
+
+    if (parsed.canSafelyMatchAsLowercase || filter.matchCase)
+      trigger["top-url-filter-is-case-sensitive"] = true;
+
+    rules.push({trigger, action: {type: "ignore-previous-rules"}});
+
+    if (!(contentType & whitelistableRequestTypes))
+      return;
+  }
+  else if (filter instanceof filterClasses.WhitelistFilter &&
+           contentType & typeMap.DOCUMENT)
+  {
+    // Otherwise we can only whitelist the document request itself, not the
+    // requests made by the document.
+    report.approximated(filter, restricted ? "document_whitelist_restricted" :
+                                             "document_whitelist_not_hostname");
+  }
 
   let trigger = {"url-filter": parsed.regexp};
 
@@ -500,19 +930,45 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
   if (exceptionDomains)
     excluded = excluded.concat(exceptionDomains);
 
+  let addTopLevelException = false;
+
   if (withResourceTypes)
   {
-    let resourceTypes = getResourceTypes(contentType);
+    let resourceTypes = getResourceTypes(contentType, features);
 
-    // Content blocker rules can't differentiate between sub-document requests
-    // (iframes) and top-level document requests. To avoid too many false
-    // positives, we prevent rules with no hostname part from blocking document
-    // requests.
-    //
-    // Once Safari 11 becomes our minimum supported version, we could change
-    // our approach here to use the new "unless-top-url" property instead.
-    if (filter instanceof filterClasses.BlockingFilter && !parsed.hostname)
-      resourceTypes = resourceTypes.filter(type => type != "document");
+    if (filter instanceof filterClasses.BlockingFilter &&
+        resourceTypes.includes("document"))
+    {
+      if (features.loadContext)
+      {
+        // We've made sure above that this rule is only for sub-document
+        // requests.
+        trigger["load-context"] = ["child-frame"];
+      }
+      else
+      {
+        // Content blocker rules can't differentiate between sub-document
+        // requests (iframes) and top-level document requests otherwise, so we
+        // add an exception for top-level documents. This only works in Safari
+        // 11 onwards, while older versions simply ignore this property.
+        //
+        // Note that "unless-top-url" can't be combined with "if-domain" or
+        // "unless-domain". Excluded domains can be merged into
+        // "unless-top-url" though, as long as the target supports it.
+        addTopLevelException = included.length == 0 &&
+                               (excluded.length == 0 || features.topURL);
+
+        // To avoid too many false positives, we prevent rules with no hostname
+        // part from blocking document requests, unless the target supports
+        // the exception for top-level documents.
+        if (!parsed.hostname && !(addTopLevelException && features.topURL))
+        {
+          addTopLevelException = false;
+          resourceTypes = resourceTypes.filter(type => type != "document");
+          report.approximated(filter, "subdocument_not_blocked");
+        }
+      }
+    }
 
     if (resourceTypes.length == 0)
       return;
@@ -523,8 +979,6 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
   if (filter.thirdParty != null)
     trigger["load-type"] = [filter.thirdParty ? "third-party" : "first-party"];
 
-  let addTopLevelException = false;
-
   if (included.length > 0)
   {
     trigger["if-domain"] = [];
@@ -539,6 +993,7 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
           (notSubdomains = findSubdomainsInList(name, excluded)).length > 0)
       {
         trigger["if-domain"].push(name);
+        report.approximated(filter, "subdomain_exclusion");
 
         // Add the "www" prefix but only if it hasn't been excluded.
         if (!notSubdomains.includes("www"))
@@ -550,22 +1005,20 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
       }
     }
   }
-  else if (excluded.length > 0)
+  else if (addTopLevelException)
   {
-    trigger["unless-domain"] = excluded.map(name => "*" + name);
+    excludeTopURLFromTrigger(trigger, excluded, exceptionURLs);
   }
-  else if (filter instanceof filterClasses.BlockingFilter &&
-           filter.contentType & typeMap.SUBDOCUMENT && parsed.hostname)
+  else if (exceptionURLs && exceptionURLs.length > 0)
   {
-    // Rules with a hostname part are still allowed to block document requests,
-    // but we add an exception for top-level documents.
-    //
-    // Note that we can only do this if there's no "unless-domain" property for
-    // now. This also only works in Safari 11 onwards, while older versions
-    // simply ignore this property. Once Safari 11 becomes our minimum
-    // supported version, we can merge "unless-domain" into "unless-top-url".
-    addTopLevelException = true;
-    excludeTopURLFromTrigger(trigger);
+    // Since "unless-top-url" can't be combined with "unless-domain", the
+    // excluded domains have to be given as top-level URLs as well.
+    trigger["unless-top-url"] = excluded.map(name => matchDomain(name))
+                                        .concat(exceptionURLs);
+  }
+  else if (excluded.length > 0)
+  {
+    trigger["unless-domain"] = excluded.map(name => "*" + name);
   }
 
   rules.push({trigger: trigger, action: {type: action}});
@@ -576,7 +1029,7 @@ function convertFilterAddRules(rules, filter, action, withResourceTypes,
     for (let altRule of makeRuleCopies(trigger, {type: action}, urlSchemes))
     {
       if (addTopLevelException)
-        excludeTopURLFromTrigger(altRule.trigger);
+        excludeTopURLFromTrigger(altRule.trigger, excluded, exceptionURLs);
 
       rules.push(altRule);
     }
@@ -634,9 +1087,143 @@ function convertIDSelectorsToAttributeSelectors(selector)
   return newSelector.join("");
 }
 
-function addCSSRules(rules, selectors, domain, exceptionDomains)
+function addRuleSources(ruleSources, rules, startIndex, filters)
+{
+  for (let i = startIndex; i < rules.length; i++)
+    ruleSources.set(rules[i], new Set(filters));
+}
+
+function describeRuleSources(filters, filterOrigins)
+{
+  let sources = [];
+
+  for (let filter of filters)
+  {
+    for (let origin of filterOrigins.get(filter) || [{}])
+      sources.push(Object.assign({filter: filter.text}, origin));
+  }
+
+  return sources;
+}
+
+function mergeRuleSources(ruleInfo, mergedRuleInfo)
+{
+  if (ruleInfo.sources)
+  {
+    for (let filter of mergedRuleInfo.sources)
+      ruleInfo.sources.add(filter);
+  }
+}
+
+/**
+ * Add exception rules for element hiding exceptions, to be placed after the
+ * element hiding rules they apply to.
+ */
+function convertElemHideExceptions(rules, filters, features, report,
+                                   ruleSources)
+{
+  for (let filter of filters)
+  {
+    let ruleCount = rules.length;
+    let parsed = filter.pattern != null &&
+                 parseFilterRegexpSource(filter.pattern);
+
+    // The exceptions apply to the requests made by the page, so we match the
+    // domain or the URL of the top-level document.
+    if (parsed)
+    {
+      let trigger = {"url-filter": ".*"};
+      if (parsed.justHostname)
+        trigger["if-domain"] = ["*" + parsed.hostname];
+      else
+        trigger["if-top-url"] = [getTopURLFilter(parsed)];
+
+      rules.push({trigger, action: {type: "ignore-previous-rules"}});
+    }
+
+    // They also apply to iframes, so we match the URL of the document itself
+    // as well, and the URL of the frame making the requests if the target
+    // supports it.
+    convertFilterAddRules(rules, filter, "ignore-previous-rules", true, null,
+                          null, features, report, typeMap.SUBDOCUMENT);
+
+    if (parsed && features.frameURL)
+    {
+      rules.push({
+        trigger: {"url-filter": ".*",
+                  "if-frame-url": [getTopURLFilter(parsed)]},
+        action: {type: "ignore-previous-rules"}
+      });
+    }
+
+    if (ruleSources)
+      addRuleSources(ruleSources, rules, ruleCount, [filter]);
+  }
+}
+
+function getRulesSize(rules)
+{
+  return rules.reduce((size, rule) => size + JSON.stringify(rule).length, 0);
+}
+
+function createGenericblockExceptionRules(domains, urls, features)
+{
+  // Element hiding rules are applied when the document is loaded, so they
+  // aren't affected if we leave out documents.
+  let trigger = {
+    "url-filter": ".*",
+    "resource-type": getResourceTypes(whitelistableRequestTypes &
+                                      ~typeMap.SUBDOCUMENT, features)
+  };
+  let rules = [];
+
+  if (domains.length > 0)
+  {
+    rules.push({
+      trigger: Object.assign({}, trigger,
+                             {"if-domain": domains.map(name => "*" + name)}),
+      action: {type: "ignore-previous-rules"}
+    });
+  }
+
+  if (urls.length > 0)
+  {
+    rules.push({
+      trigger: Object.assign({}, trigger, {"if-top-url": urls}),
+      action: {type: "ignore-previous-rules"}
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Add an element hiding filter's selector to the group of selectors with the
+ * same domain and exception domains, so that they can be combined into the
+ * same rules.
+ *
+ * @param {Map} groups
+ * @param {string} domain The domain the selector applies to, "" for all
+ * @param {string[]} exceptionDomains The domains the selector doesn't apply to
+ * @param {object} entry The selector and its filter
+ */
+function addSelectorToGroup(groups, domain, exceptionDomains, entry)
+{
+  exceptionDomains = Array.from(new Set(exceptionDomains)).sort();
+
+  let key = domain + " " + exceptionDomains.join(",");
+  let group = groups.get(key);
+  if (!group)
+    groups.set(key, group = {selectors: [], exceptionDomains});
+
+  group.selectors.push(entry);
+}
+
+function addCSSRules(rules, selectors, domain, exceptionDomains, ruleSources,
+                     exceptionURLs)
 {
   let unlessDomain = [];
+  let unlessTopURL = [];
 
   exceptionDomains.forEach(name =>
   {
@@ -646,9 +1233,28 @@ function addCSSRules(rules, selectors, domain, exceptionDomains)
       unlessDomain.push("*" + name);
   });
 
+  for (let {regexp, hostname} of exceptionURLs || [])
+  {
+    // Likewise, only include the exceptions for URLs which can be on the
+    // given domain.
+    if (!domain || !hostname || hostname == domain ||
+        hostname.endsWith("." + domain) || domain.endsWith("." + hostname))
+      unlessTopURL.push(regexp);
+  }
+
+  // Since "unless-top-url" can't be combined with "unless-domain", we have to
+  // turn the exception domains into top-level URLs as well.
+  if (unlessTopURL.length > 0)
+  {
+    unlessTopURL = unlessDomain.map(name => matchDomain(name.substr(1)))
+                               .concat(unlessTopURL);
+    unlessDomain = [];
+  }
+
   while (selectors.length)
   {
-    let selector = selectors.splice(0, selectorLimit).join(", ");
+    let chunk = selectors.splice(0, selectorLimit);
+    let selector = chunk.map(entry => entry.selector).join(", ");
 
     // As of Safari 9.0 element IDs are matched as lowercase. We work around
     // this by converting to the attribute format [id="elementID"]
@@ -663,6 +1269,11 @@ function addCSSRules(rules, selectors, domain, exceptionDomains)
 
     if (unlessDomain.length > 0)
       rule.trigger["unless-domain"] = unlessDomain;
+    else if (unlessTopURL.length > 0)
+      rule.trigger["unless-top-url"] = unlessTopURL;
+
+    if (ruleSources)
+      addRuleSources(ruleSources, [rule], 0, chunk.map(entry => entry.filter));
 
     rules.push(rule);
   }
@@ -823,12 +1434,14 @@ function eliminateRedundantRulesByURLFilter(rulesInfo, exhaustive)
         if (source.substring(0, target.length) == target)
         {
           rulesInfo[i].redundant = true;
+          mergeRuleSources(rulesInfo[j], rulesInfo[i]);
           break;
         }
       }
       else if (target.substring(0, source.length) == source)
       {
         rulesInfo[j].redundant = true;
+        mergeRuleSources(rulesInfo[i], rulesInfo[j]);
       }
     }
   })
@@ -1018,6 +1631,7 @@ function mergeCandidateRulesByURLFilter(rulesInfo)
           // Mark the target rule as merged so other rules don't try to merge
           // it again.
           rulesInfo[match.index].merged = true;
+          mergeRuleSources(ruleInfo, rulesInfo[match.index]);
         }
 
         urlFilter = urlFilter.substring(0, editIndex + 1) + quantifier +
@@ -1036,6 +1650,7 @@ function mergeCandidateRulesByURLFilter(rulesInfo)
         // Mark the target rule as merged so other rules don't try to merge it
         // again.
         rulesInfo[best[0].index].merged = true;
+        mergeRuleSources(ruleInfo, rulesInfo[best[0].index]);
 
         urlFilter = urlFilter.substring(0, editIndex) + "(" +
                     urlFilter.substring(editIndex, editEndIndex) + ")?" +
@@ -1071,6 +1686,7 @@ function mergeRulesByArrayProperty(rulesInfo, propertyType, property)
       valueSet.add(value);
 
     rulesInfo[i].merged = true;
+    mergeRuleSources(rulesInfo[0], rulesInfo[i]);
   }
 
   if (valueSet.size > 0)
@@ -1105,9 +1721,12 @@ function groupRulesByMergeableProperty(rulesInfo, propertyType, property)
   return mergeableRulesInfoByGroup;
 }
 
-function mergeRules(rules, exhaustive)
+function mergeRules(rules, exhaustive, ruleSources)
 {
-  let rulesInfo = rules.map(rule => ({rule}));
+  let rulesInfo = rules.map(rule => ({
+    rule,
+    sources: ruleSources ? ruleSources.get(rule) : null
+  }));
 
   let arrayPropertiesToMergeBy = ["resource-type", "if-domain"];
 
@@ -1141,49 +1760,285 @@ function mergeRules(rules, exhaustive)
   .then(() => rulesInfo.map(ruleInfo => ruleInfo.rule));
 }
 
-let ContentBlockerList =
-/**
- * Create a new Adblock Plus filter to content blocker list converter
- *
- * @param {object} options Options for content blocker list generation
- *
- * @constructor
- */
-exports.ContentBlockerList = function (options)
+function partitionRules(rules, limit)
 {
-  const defaultOptions = {
-    merge: "auto"
-  };
+  // Exception rules only apply to the rules that precede them in the same
+  // list, so every list has to contain all of them.
+  let exceptionCount = rules.filter(
+    rule => rule.action.type == "ignore-previous-rules"
+  ).length;
 
-  this.options = Object.assign({}, defaultOptions, options);
+  if (rules.length <= limit)
+    return [rules.map((rule, index) => index)];
 
-  this.requestFilters = [];
-  this.requestExceptions = [];
-  this.elemhideFilters = [];
-  this.elemhideExceptions =  [];
+  if (exceptionCount >= limit)
+  {
+    throw new Error("Too many exception rules (" + exceptionCount + ") " +
+                    "for the rule limit of " + limit);
+  }
+
+  let ruleCount = rules.length - exceptionCount;
+  let partitions = [];
+
+  for (let start = 0; start < ruleCount; start += limit - exceptionCount)
+  {
+    let end = start + limit - exceptionCount;
+    let indices = [];
+
+    for (let i = 0, j = 0; i < rules.length; i++)
+    {
+      if (rules[i].action.type == "ignore-previous-rules")
+        indices.push(i);
+      else if (j++ >= start && j <= end)
+        indices.push(i);
+    }
+
+    partitions.push(indices);
+  }
+
+  return partitions;
+}
+
+/**
+ * Split up a content blocker list into several lists that don't exceed the
+ * given number of rules each. Exception rules ("ignore-previous-rules") are
+ * copied into every list, so that they still apply to all the other rules.
+ *
+ * @param {object[]} rules The content blocker rules
+ * @param {number} limit The maximum number of rules per list
+ *
+ * @returns {Array.<object[]>} The content blocker lists
+ */
+exports.splitRules = function(rules, limit)
+{
+  return partitionRules(rules, limit).map(
+    indices => indices.map(index => rules[index])
+  );
+};
+
+let ContentBlockerList =
+/**
+ * Create a new Adblock Plus filter to content blocker list converter
+ *
+ * @param {object} options Options for content blocker list generation:
+ *                   merge: "none", "auto" (default) or "all", whether to
+ *                     merge similar rules in order to reduce their number,
+ *                     "auto" merges them only if there are more rules than
+ *                     the rule limit,
+ *                   ruleLimit: the maximum number of rules Safari accepts
+ *                     per content blocker list (default 50000),
+ *                   sourceMap: whether to generate a source map (see the
+ *                     sourceMap property),
+ *                   target: the version of Safari to generate the list for,
+ *                     one of the keys of targets (default "safari-10"),
+ *                   genericblock: how to convert $genericblock exceptions,
+ *                     one of genericblockStrategies (default "unless-domain"),
+ *                   snippets: whether to collect snippet filters for
+ *                     generateSnippets, rather than dropping them
+ *                     (default false),
+ *                   emulation: whether to collect element hiding emulation
+ *                     filters that can't be converted for
+ *                     generateEmulationFilters, rather than dropping them
+ *                     (default false),
+ *                   format: the format to generate the rules in, one of
+ *                     formats (default "webkit"), the target, merge and
+ *                     genericblock options only apply to "webkit",
+ *                   proxy: the proxy blocked requests are sent to for the
+ *                     "pac" format (default "127.0.0.1:9")
+ *
+ * @constructor
+ */
+exports.ContentBlockerList = function (options)
+{
+  const defaultOptions = {
+    merge: "auto",
+    ruleLimit: 50000,
+    sourceMap: false,
+    target: "safari-10",
+    genericblock: "unless-domain",
+    snippets: false,
+    emulation: false,
+    format: "webkit",
+    proxy: "127.0.0.1:9"
+  };
+
+  this.options = Object.assign({}, defaultOptions, options);
+
+  if (!targets.hasOwnProperty(this.options.target))
+    throw new Error("Unknown target: " + this.options.target);
+  if (!genericblockStrategies.includes(this.options.genericblock))
+    throw new Error("Unknown genericblock strategy: " +
+                    this.options.genericblock);
+  if (!formats.includes(this.options.format))
+    throw new Error("Unknown format: " + this.options.format);
+
+  /**
+   * The WebKit features supported by the target, see targets
+   * @type {object}
+   */
+  this.features = targets[this.options.target];
+
+  this.requestFilters = [];
+  this.requestExceptions = [];
+  this.elemhideFilters = [];
+  this.elemhideExceptions =  [];
   this.genericblockExceptions = [];
   this.generichideExceptions = [];
   this.elemhideSelectorExceptions = new Map();
+  this.snippetFilters = [];
+  this.emulationFilters = [];
+  this.filterTexts = new Set();
+
+  /**
+   * Report on which filters could be converted, approximated or had to be
+   * dropped, filled in by addFilter and generateRules
+   * @type {ConversionReport}
+   */
+  this.report = new ConversionReport();
+
+  /**
+   * Where in the filter list(s) each filter was found, as passed to addFilter
+   * @type {Map.<Filter,object[]>}
+   */
+  this.filterOrigins = new Map();
+
+  /**
+   * For each generated rule, the filters it originates from, e.g.
+   * [[{filter: "||example.com^", line: 12}], ...]. This is only filled in by
+   * generateRules if the sourceMap option is set.
+   * @type {?Array.<object[]>}
+   */
+  this.sourceMap = null;
+
+  /**
+   * The filter list's header and the metadata in the comments at its top, as
+   * passed to addHeader and addFilter before the first filter, e.g.
+   * {minVersion: "2.0", title: "EasyList", expires: "4 days",
+   *  expiresSeconds: 345600}
+   * @type {object}
+   */
+  this.metadata = {};
+  this.inHeader = true;
+};
+
+/**
+ * Add the header of a filter list, e.g. "[Adblock Plus 2.0]"
+ *
+ * @param {string} header
+ */
+ContentBlockerList.prototype.addHeader = function(header)
+{
+  let match = /\[Adblock(?:\s*Plus\s*([\d.]+)?)?\]/i.exec(header);
+  if (match && this.inHeader && match[1])
+    this.metadata.minVersion = match[1];
 };
 
 /**
- * Add Adblock Plus filter to be converted
+ * Add Adblock Plus filter to be converted. Comments at the top of the filter
+ * list are parsed for metadata. Filters which have been added before are
+ * ignored, except for recording their origin.
  *
  * @param {Filter} filter Filter to convert
+ * @param {object} [origin] Where the filter was found, e.g. {line: 12}, to be
+ *                          used in the source map
  */
-ContentBlockerList.prototype.addFilter = function(filter)
+ContentBlockerList.prototype.addFilter = function(filter, origin)
 {
-  if (/[^\x00-\x7F]/.test(filter.text))
+  if (filter instanceof filterClasses.CommentFilter)
+  {
+    let match = /^!\s*(.*?)\s*:\s*(.*)/.exec(filter.text);
+    if (match && this.inHeader && metadataKeys.has(match[1].toLowerCase()))
+    {
+      let key = match[1].toLowerCase();
+      this.metadata[key] = match[2];
+
+      if (key == "expires")
+        this.metadata.expiresSeconds = parseExpires(match[2]);
+    }
     return;
-  if (filter.sitekeys)
+  }
+
+  // The metadata is only recognized in the comments at the top of the list.
+  this.inHeader = false;
+
+  if (origin)
+  {
+    let origins = this.filterOrigins.get(filter);
+    if (origins)
+      origins.push(origin);
+    else
+      this.filterOrigins.set(filter, [origin]);
+  }
+
+  // The same filter may occur in several filter lists, but we only convert
+  // it once.
+  if (this.filterTexts.has(filter.text))
     return;
-  if (filter instanceof filterClasses.RegExpFilter &&
-      filter.pattern == null)
+  this.filterTexts.add(filter.text);
+
+  let reason = null;
+
+  if (filter instanceof filterClasses.InvalidFilter)
+    reason = filter.reason;
+  else if (/[^\x00-\x7F]/.test(filter.text) && !hasValidHostnames(filter))
+    reason = "invalid_hostname";
+  else if (filter.sitekeys)
+    reason = "sitekey";
+  else if (filter instanceof filterClasses.BlockingFilter && filter.csp)
+    reason = "csp";
+  else if (filter instanceof filterClasses.ElemHideEmulationFilter &&
+           !this.options.emulation)
+    reason = convertEmulationSelector(filter.selector).reason;
+  else if (filter instanceof filterClasses.SnippetFilter &&
+           !this.options.snippets)
+    reason = "snippet";
+
+  if (reason)
+  {
+    this.report.dropped(filter, reason);
     return;
+  }
+
+  // Regular expression filters are converted into the regular expression
+  // syntax of the format, PAC files can use them as they are.
+  if (filter instanceof filterClasses.RegExpFilter && filter.pattern == null &&
+      this.options.format == "webkit")
+  {
+    let {regexps, reasons} = translateRegExp(filter.regexp.source);
+
+    for (let reason of reasons)
+    {
+      if (regexps.length == 0)
+        this.report.dropped(filter, reason);
+      else
+        this.report.approximated(filter, reason);
+    }
+
+    if (regexps.length == 0)
+      return;
+  }
+  else if (filter instanceof filterClasses.RegExpFilter &&
+           filter.pattern == null && this.options.format == "dnr")
+  {
+    let reason = checkDNRRegExp(filter.regexp.source);
+    if (reason)
+    {
+      this.report.dropped(filter, reason);
+      return;
+    }
+  }
+
+  this.report.converted(filter);
 
   if (filter instanceof filterClasses.BlockingFilter)
+  {
     this.requestFilters.push(filter);
 
+    // Content blockers can only block requests, not redirect them.
+    if (filter.rewrite != null && this.options.format == "webkit")
+      this.report.approximated(filter, "rewrite_as_block");
+  }
+
   if (filter instanceof filterClasses.WhitelistFilter)
   {
     if (filter.contentType & (typeMap.DOCUMENT | whitelistableRequestTypes))
@@ -1196,109 +2051,319 @@ ContentBlockerList.prototype.addFilter = function(filter)
       this.elemhideExceptions.push(filter);
     else if (filter.contentType & typeMap.GENERICHIDE)
       this.generichideExceptions.push(filter);
+
+    if (!(filter.contentType & (typeMap.DOCUMENT | whitelistableRequestTypes |
+                                typeMap.GENERICBLOCK | typeMap.ELEMHIDE |
+                                typeMap.GENERICHIDE)))
+      this.report.dropped(filter, "no_resource_types");
   }
 
   if (filter instanceof filterClasses.ElemHideFilter)
+  {
     this.elemhideFilters.push(filter);
+  }
+  else if (filter instanceof filterClasses.ElemHideEmulationFilter)
+  {
+    // Selectors that can't be converted into CSS, or into CSS the target
+    // supports, are left to be applied by a content script, see
+    // generateEmulationFilters.
+    if (convertEmulationSelector(filter.selector).reason ||
+        (this.options.emulation && !this.features.hasSelector &&
+         /:-abp-has\(/i.test(filter.selector)))
+      this.emulationFilters.push(filter);
+    else
+      this.elemhideFilters.push(filter);
+  }
+
+  if (filter instanceof filterClasses.SnippetFilter)
+    this.snippetFilters.push(filter);
 
   if (filter instanceof filterClasses.ElemHideException)
   {
-    let domains = this.elemhideSelectorExceptions[filter.selector];
-    if (!domains)
-      domains = this.elemhideSelectorExceptions[filter.selector] = [];
+    let included = [];
+    let excluded = [];
+
+    parseDomains(filter.domains, included, excluded);
+
+    // Exceptions for specific domains are applied by not hiding the selector
+    // on those domains, while any other exceptions are applied by dropping
+    // all element hiding filters with the same selector.
+    let domains = this.elemhideSelectorExceptions.get(filter.selector);
+    if (included.length == 0)
+    {
+      this.elemhideSelectorExceptions.set(filter.selector, null);
+
+      if (excluded.length > 0)
+        this.report.approximated(filter, "elemhide_exception_all_domains");
+    }
+    else if (domains !== null)
+    {
+      this.elemhideSelectorExceptions.set(filter.selector,
+                                          (domains || []).concat(included));
 
-    parseDomains(filter.domains, domains, []);
+      if (excluded.length > 0)
+        this.report.approximated(filter, "elemhide_exception_subdomains");
+    }
   }
 };
 
 /**
- * Generate content blocker list for all filters that were added
+ * Generate content blocker list for all filters that were added. Once the
+ * returned promise has been resolved, the report property describes which
+ * filters could not be converted exactly and why.
+ *
+ * @returns {Promise.<object[]>}
  */
 ContentBlockerList.prototype.generateRules = function()
 {
+  if (this.options.format == "dnr")
+    return callLater(() => this.generateDNRRules());
+  if (hostsFormats.includes(this.options.format))
+    return callLater(() => this.generateHostsList());
+  if (this.options.format == "pac")
+    return callLater(() => this.generatePAC());
+
+  let genericCSSRules = [];
+  let generichideExceptionRules = [];
   let cssRules = [];
   let cssExceptionRules = [];
+  let genericBlockingRules = [];
+  let genericblockExceptionRules = [];
   let blockingRules = [];
   let blockingExceptionRules = [];
 
-  let ruleGroups = [cssRules, cssExceptionRules,
+  let ruleGroups = [genericCSSRules, generichideExceptionRules,
+                    cssRules, cssExceptionRules,
+                    genericBlockingRules, genericblockExceptionRules,
                     blockingRules, blockingExceptionRules];
 
-  let genericSelectors = [];
+  // Keep track of the filters each rule originates from, for the source map.
+  let ruleSources = this.options.sourceMap ? new Map() : null;
+
+  let genericSelectors = new Map();
   let groupedElemhideFilters = new Map();
 
   for (let filter of this.elemhideFilters)
   {
-    let result = convertElemHideFilter(filter, this.elemhideSelectorExceptions);
+    let result = convertElemHideFilter(filter, this.elemhideSelectorExceptions,
+                                       this.features, this.report);
     if (!result)
       continue;
 
+    let entry = {selector: result.selector, filter};
+
     if (result.matchDomains.length == 0)
     {
-      genericSelectors.push(result.selector);
+      addSelectorToGroup(genericSelectors, "", result.exceptionDomains, entry);
     }
     else
     {
       for (let matchDomain of result.matchDomains)
       {
-        let group = groupedElemhideFilters.get(matchDomain) || [];
-        group.push(result.selector);
-        groupedElemhideFilters.set(matchDomain, group);
+        // Selectors with exceptions for the domain, or any of its parent
+        // domains, aren't hidden there at all.
+        if (result.exceptionDomains.some(
+          name => matchDomain == name || matchDomain.endsWith("." + name)
+        ))
+          continue;
+
+        addSelectorToGroup(groupedElemhideFilters, matchDomain,
+                           result.exceptionDomains.filter(
+                             name => name.endsWith("." + matchDomain)
+                           ),
+                           entry);
       }
     }
   }
 
-  // Separate out the element hiding exceptions that have only a hostname part
-  // from the rest. This allows us to implement a workaround for issue #5345
-  // (WebKit bug #167423), but as a bonus it also reduces the number of
-  // generated rules. The downside is that the exception will only apply to the
-  // top-level document, not to iframes. We have to live with this until the
-  // WebKit bug is fixed in all supported versions of Safari.
-  // https://bugs.webkit.org/show_bug.cgi?id=167423
-  //
-  // Note that as a result of this workaround we end up with a huge rule set in
-  // terms of the amount of memory used. This can cause Node.js to throw
-  // "JavaScript heap out of memory". To avoid this, call Node.js with
-  // --max_old_space_size=4096
-  let elemhideExceptionDomains = extractFilterDomains(this.elemhideExceptions);
-
-  let genericSelectorExceptionDomains =
-    extractFilterDomains(this.generichideExceptions);
+  let elemhideExceptions;
+  let generichideExceptions;
+
+  if (this.features.elemhideExceptionRules)
+  {
+    // If the target isn't affected by WebKit bug #167423, exceptions are
+    // simply added as exception rules after the element hiding rules they
+    // apply to, so that they work in iframes as well. Exceptions for generic
+    // element hiding rules come right after those.
+    convertElemHideExceptions(generichideExceptionRules,
+                              this.generichideExceptions, this.features,
+                              this.report, ruleSources);
+    convertElemHideExceptions(cssExceptionRules, this.elemhideExceptions,
+                              this.features, this.report, ruleSources);
+
+    elemhideExceptions = {domains: new Set(), urls: []};
+    generichideExceptions = {domains: new Set(), urls: []};
+  }
+  else
+  {
+    // Otherwise, separate out the element hiding exceptions that have only a
+    // hostname part from the rest. This allows us to implement a workaround
+    // for issue #5345 (WebKit bug #167423), but as a bonus it also reduces
+    // the number of generated rules. The downside is that the exception will
+    // only apply to the top-level document, not to iframes. We have to live
+    // with this until the WebKit bug is fixed in all supported versions of
+    // Safari.
+    // https://bugs.webkit.org/show_bug.cgi?id=167423
+    //
+    // Note that as a result of this workaround we end up with a huge rule set
+    // in terms of the amount of memory used. This can cause Node.js to throw
+    // "JavaScript heap out of memory". To avoid this, call Node.js with
+    // --max_old_space_size=4096
+    //
+    // Exceptions for URLs with a path are only applied to the top-level
+    // document as well, since they're matched against its URL.
+    elemhideExceptions = extractFilterExceptions(this.elemhideExceptions,
+                                                 typeMap.ELEMHIDE,
+                                                 this.features, this.report);
+    generichideExceptions =
+      extractFilterExceptions(this.generichideExceptions, typeMap.GENERICHIDE,
+                              this.features, this.report);
+  }
+
+  let elemhideExceptionDomains = elemhideExceptions.domains;
+  let genericSelectorExceptionDomains = generichideExceptions.domains;
   elemhideExceptionDomains.forEach(name =>
   {
     genericSelectorExceptionDomains.add(name);
   });
 
-  addCSSRules(cssRules, genericSelectors, null,
-              genericSelectorExceptionDomains);
+  let genericSelectorExceptionURLs =
+    elemhideExceptions.urls.concat(generichideExceptions.urls);
 
-  // Filter out whitelisted domains.
-  elemhideExceptionDomains.forEach(domain =>
-    groupedElemhideFilters.delete(domain));
+  genericSelectors.forEach(({selectors, exceptionDomains}) =>
+  {
+    addCSSRules(this.features.elemhideExceptionRules ? genericCSSRules :
+                                                       cssRules,
+                selectors, null,
+                new Set([...genericSelectorExceptionDomains,
+                         ...exceptionDomains]),
+                ruleSources, genericSelectorExceptionURLs);
+  });
 
-  groupedElemhideFilters.forEach((selectors, matchDomain) =>
+  groupedElemhideFilters.forEach(({selectors, exceptionDomains}, key) =>
   {
-    addCSSRules(cssRules, selectors, matchDomain, elemhideExceptionDomains);
+    let matchDomain = key.split(" ")[0];
+
+    // Filter out whitelisted domains.
+    if (elemhideExceptionDomains.has(matchDomain))
+      return;
+
+    addCSSRules(cssRules, selectors, matchDomain,
+                new Set([...elemhideExceptionDomains, ...exceptionDomains]),
+                ruleSources, elemhideExceptions.urls);
   });
 
-  let requestFilterExceptionDomains = [];
-  for (let filter of this.genericblockExceptions)
+  let {
+    domains: requestFilterExceptionDomains,
+    urls: requestFilterExceptionURLs,
+    filters: requestFilterExceptions
+  } = extractGenericblockExceptions(this.genericblockExceptions, this.features,
+                                    this.report);
+
+  let hasGenericblockExceptions = requestFilterExceptions.length > 0;
+  let useExceptionRules = hasGenericblockExceptions &&
+                          this.options.genericblock == "exception-rules";
+
+  // For comparing the strategies, we convert the generic filters the other
+  // way as well.
+  let genericRulesSize = 0;
+  let alternativeRules = [];
+
+  for (let filter of this.requestFilters)
   {
-    let parsed = parseFilterRegexpSource(filter.pattern);
-    if (parsed.hostname)
-      requestFilterExceptionDomains.push(parsed.hostname);
+    let generic = filter.isGeneric();
+    let rules = useExceptionRules && generic ? genericBlockingRules :
+                                               blockingRules;
+    let ruleCount = rules.length;
+
+    if (useExceptionRules)
+    {
+      convertFilterAddRules(rules, filter, "block", true, [], [],
+                            this.features, this.report);
+    }
+    else
+    {
+      convertFilterAddRules(rules, filter, "block", true,
+                            requestFilterExceptionDomains,
+                            requestFilterExceptionURLs, this.features,
+                            this.report);
+    }
+
+    if (rules.length == ruleCount)
+      this.report.dropped(filter, "no_resource_types");
+    else if (ruleSources)
+      addRuleSources(ruleSources, rules, ruleCount, [filter]);
+
+    if (hasGenericblockExceptions && generic)
+    {
+      genericRulesSize += getRulesSize(rules.slice(ruleCount));
+
+      if (useExceptionRules)
+      {
+        convertFilterAddRules(alternativeRules, filter, "block", true,
+                              requestFilterExceptionDomains,
+                              requestFilterExceptionURLs, this.features,
+                              new ConversionReport());
+      }
+      else
+      {
+        convertFilterAddRules(alternativeRules, filter, "block", true, [], [],
+                              this.features, new ConversionReport());
+      }
+    }
   }
 
-  for (let filter of this.requestFilters)
+  if (useExceptionRules)
+  {
+    genericblockExceptionRules.push(...createGenericblockExceptionRules(
+      requestFilterExceptionDomains, requestFilterExceptionURLs, this.features
+    ));
+
+    if (ruleSources)
+    {
+      addRuleSources(ruleSources, genericblockExceptionRules, 0,
+                     requestFilterExceptions);
+    }
+
+    for (let filter of requestFilterExceptions)
+      this.report.approximated(filter, "genericblock_not_subdocument");
+  }
+
+  if (hasGenericblockExceptions)
   {
-    convertFilterAddRules(blockingRules, filter, "block", true,
-                          requestFilterExceptionDomains);
+    let exceptionRulesSize = getRulesSize(
+      createGenericblockExceptionRules(requestFilterExceptionDomains,
+                                       requestFilterExceptionURLs,
+                                       this.features)
+    );
+    let alternativeSize = getRulesSize(alternativeRules);
+
+    this.report.strategy("genericblock", this.options.genericblock, {
+      "unless-domain": useExceptionRules ? alternativeSize : genericRulesSize,
+      "exception-rules": useExceptionRules ?
+                           genericRulesSize + exceptionRulesSize :
+                           alternativeSize + exceptionRulesSize
+    });
   }
 
   for (let filter of this.requestExceptions)
   {
+    let ruleCount = blockingExceptionRules.length;
+
     convertFilterAddRules(blockingExceptionRules, filter,
-                          "ignore-previous-rules", true);
+                          "ignore-previous-rules", true, null, null,
+                          this.features, this.report);
+
+    if (blockingExceptionRules.length == ruleCount)
+    {
+      reportUnsupportedOption(this.report, filter,
+                              typeMap.DOCUMENT | whitelistableRequestTypes,
+                              "no_resource_types");
+    }
+    else if (ruleSources)
+    {
+      addRuleSources(ruleSources, blockingExceptionRules, ruleCount, [filter]);
+    }
   }
 
   return async(ruleGroups, (group, index) => () =>
@@ -1306,14 +2371,27 @@ ContentBlockerList.prototype.generateRules = function()
     let next = () =>
     {
       if (index == ruleGroups.length - 1)
-        return ruleGroups.reduce((all, rules) => all.concat(rules), []);
+      {
+        let rules = ruleGroups.reduce((all, rules) => all.concat(rules), []);
+
+        if (ruleSources)
+        {
+          this.sourceMap = rules.map(rule =>
+            describeRuleSources(ruleSources.get(rule), this.filterOrigins)
+          );
+        }
+
+        return rules;
+      }
     };
 
     if (this.options.merge == "all" ||
         (this.options.merge == "auto" &&
-         ruleGroups.reduce((n, group) => n + group.length, 0) > 50000))
+         ruleGroups.reduce((n, group) => n + group.length, 0) >
+           this.options.ruleLimit))
     {
-      return mergeRules(ruleGroups[index], this.options.merge == "all")
+      return mergeRules(ruleGroups[index], this.options.merge == "all",
+                        ruleSources)
       .then(rules =>
       {
         ruleGroups[index] = rules;
@@ -1324,3 +2402,336 @@ ContentBlockerList.prototype.generateRules = function()
     return next();
   });
 };
+
+/**
+ * Generate declarativeNetRequest rules for all filters that were added, used
+ * by generateRules for the "dnr" format. Unlike content blockers, these can't
+ * hide elements.
+ *
+ * @returns {object[]}
+ */
+ContentBlockerList.prototype.generateDNRRules = function()
+{
+  for (let filter of this.elemhideFilters)
+    this.report.dropped(filter, "elemhide_not_supported");
+
+  for (let filter of this.elemhideExceptions.concat(
+    this.generichideExceptions
+  ))
+  {
+    reportUnsupportedOption(this.report, filter,
+                            typeMap.ELEMHIDE | typeMap.GENERICHIDE,
+                            "elemhide_not_supported");
+  }
+
+  // The initiator domains of a rule can't be restricted to URLs with a path,
+  // so $genericblock exceptions are only applied to their hostname.
+  let genericblockExceptions =
+    extractGenericblockExceptions(this.genericblockExceptions, {},
+                                  this.report);
+
+  let rules = convertFiltersToDNR(this.requestFilters, this.requestExceptions,
+                                  genericblockExceptions.domains, this.report);
+
+  if (this.options.sourceMap)
+  {
+    this.sourceMap = rules.map(({filter}) =>
+      describeRuleSources([filter], this.filterOrigins)
+    );
+  }
+
+  return rules.map(({rule}, index) => Object.assign({id: index + 1}, rule));
+};
+
+/**
+ * Generate the lines of a DNS-level block list for all filters that were
+ * added, used by generateRules for the "hosts", "dnsmasq" and "unbound"
+ * formats. Only filters blocking or allowing all requests to a hostname,
+ * e.g. "||example.com^" and "@@||example.com^", can be converted.
+ *
+ * @returns {string[]}
+ */
+ContentBlockerList.prototype.generateHostsList = function()
+{
+  for (let filter of this.elemhideFilters)
+    this.report.dropped(filter, "elemhide_not_supported");
+
+  let addHostname = (hostnames, filter) =>
+  {
+    let hostname = getFilterHostname(filter);
+    let reason = hostname ? getFilterRestriction(filter) : "not_hostname";
+    if (reason)
+    {
+      this.report.dropped(filter, reason);
+      return;
+    }
+
+    let filters = hostnames.get(hostname);
+    if (filters)
+      filters.push(filter);
+    else
+      hostnames.set(hostname, [filter]);
+  };
+
+  let blocked = new Map();
+  let allowed = new Map();
+
+  for (let filter of this.requestFilters)
+    addHostname(blocked, filter);
+
+  for (let filter of this.requestExceptions)
+    addHostname(allowed, filter);
+
+  let lines = generateHostsList(blocked, allowed, this.options.format,
+                                this.report);
+
+  if (this.options.sourceMap)
+  {
+    this.sourceMap = lines.map(({filters}) =>
+      describeRuleSources(filters, this.filterOrigins)
+    );
+  }
+
+  return lines.map(({line}) => line);
+};
+
+/**
+ * Generate the lines of a proxy auto-config (PAC) file for all filters that
+ * were added, used by generateRules for the "pac" format. Filters like
+ * "||example.com^" are looked up by hostname, while other filters are matched
+ * against the URL. Browsers only pass the scheme and hostname of HTTPS URLs
+ * to PAC files though, so that filters matching their path can only block
+ * HTTP requests. Filters with options can't be converted.
+ *
+ * @returns {string[]}
+ */
+ContentBlockerList.prototype.generatePAC = function()
+{
+  for (let filter of this.elemhideFilters)
+    this.report.dropped(filter, "elemhide_not_supported");
+
+  let addFilter = (requests, filter) =>
+  {
+    let reason = getFilterRestriction(filter);
+    if (reason)
+    {
+      this.report.dropped(filter, reason);
+      return;
+    }
+
+    let hostname = getFilterHostname(filter);
+    if (hostname)
+    {
+      let filters = requests.hosts.get(hostname);
+      if (filters)
+        filters.push(filter);
+      else
+        requests.hosts.set(hostname, [filter]);
+    }
+    else if (filter.pattern != null)
+    {
+      let {regexp} = parseFilterRegexpSource(filter.pattern);
+      requests.urls.push({regexp, matchCase: filter.matchCase, filter});
+      this.report.approximated(filter, "https_path_not_matched");
+    }
+    else if (/\\[1-9]|\\k<|\(\?<[^=!]/.test(filter.regexp.source))
+    {
+      // The regular expressions are combined into one, which would break
+      // backreferences and named groups.
+      this.report.dropped(filter, "pac_backreference");
+    }
+    else
+    {
+      requests.urls.push({regexp: filter.regexp.source,
+                          matchCase: filter.matchCase, filter});
+      this.report.approximated(filter, "https_path_not_matched");
+    }
+  };
+
+  let blocked = {hosts: new Map(), urls: []};
+  let allowed = {hosts: new Map(), urls: []};
+
+  for (let filter of this.requestFilters)
+    addFilter(blocked, filter);
+
+  for (let filter of this.requestExceptions)
+    addFilter(allowed, filter);
+
+  let lines = generatePAC(blocked, allowed, this.options.proxy);
+
+  if (this.options.sourceMap)
+  {
+    this.sourceMap = lines.map(({filters}) =>
+      describeRuleSources(filters, this.filterOrigins)
+    );
+  }
+
+  return lines.map(({line}) => line);
+};
+
+/**
+ * Generate the snippets to be run by a companion extension, since content
+ * blockers can't run scripts. This requires the snippets option to be set.
+ * The snippets are grouped by the domain they apply to, along with the
+ * subdomains they are excluded on, if any, e.g. for
+ * "example.com,~www.example.com#$#log 'Hello world'":
+ * {"example.com": [{snippets: [["log", "Hello world"]],
+ *                   excludedDomains: ["www.example.com"]}]}
+ *
+ * @returns {object}
+ */
+ContentBlockerList.prototype.generateSnippets = function()
+{
+  let snippets = {};
+
+  for (let filter of this.snippetFilters)
+  {
+    let included = [];
+    let excluded = [];
+
+    parseDomains(filter.domains, included, excluded);
+
+    let calls = parseScript(filter.script);
+    if (calls.length == 0)
+    {
+      this.report.dropped(filter, "snippet_empty");
+      continue;
+    }
+
+    for (let domain of included)
+    {
+      let excludedDomains = findSubdomainsInList(domain, excluded).map(
+        subdomain => subdomain + "." + domain
+      );
+      let entry = {snippets: calls};
+
+      if (excludedDomains.length > 0)
+        entry.excludedDomains = excludedDomains;
+
+      if (!snippets.hasOwnProperty(domain))
+        snippets[domain] = [];
+      snippets[domain].push(entry);
+    }
+  }
+
+  return snippets;
+};
+
+/**
+ * Generate the element hiding emulation filters which can't be converted into
+ * CSS, e.g. those using ":-abp-contains()", or ":-abp-has()" if the target
+ * doesn't support ":has()", to be applied by a content script instead. This
+ * requires the emulation option to be set. Element hiding
+ * exceptions are applied the same way as for the element hiding rules. The
+ * selectors are grouped by the domain they apply to, along with the
+ * subdomains and the regular expressions for the top-level URLs they are
+ * excluded on, if any, e.g. for
+ * "example.com,~www.example.com#?#div:-abp-contains(Ad)":
+ * {"example.com": [{selectors: ["div:-abp-contains(Ad)"],
+ *                   excludedDomains: ["www.example.com"]}]}
+ *
+ * @returns {object}
+ */
+ContentBlockerList.prototype.generateEmulationFilters = function()
+{
+  // The report already lists how element hiding exceptions are converted
+  // into rules, and applying them here doesn't change that.
+  let elemhideExceptions = extractFilterExceptions(this.elemhideExceptions,
+                                                   typeMap.ELEMHIDE,
+                                                   {topURL: true},
+                                                   new ConversionReport());
+
+  // Element hiding emulation filters always apply to specific domains, so
+  // $generichide exceptions don't apply to them.
+  let groups = new Map();
+
+  for (let filter of this.emulationFilters)
+  {
+    let included = [];
+    let excluded = [];
+
+    parseDomains(filter.domains, included, excluded);
+
+    let exceptionDomains = [];
+    if (this.elemhideSelectorExceptions.has(filter.selector))
+      exceptionDomains = this.elemhideSelectorExceptions.get(filter.selector);
+
+    if (!exceptionDomains)
+    {
+      this.report.dropped(filter, "elemhide_selector_exception");
+      continue;
+    }
+
+    exceptionDomains = excluded.concat(exceptionDomains,
+                                       [...elemhideExceptions.domains]);
+
+    for (let domain of included)
+    {
+      if (exceptionDomains.some(
+        name => domain == name || domain.endsWith("." + name)
+      ))
+        continue;
+
+      addSelectorToGroup(groups, domain,
+                         exceptionDomains.filter(
+                           name => name.endsWith("." + domain)
+                         ),
+                         filter.selector);
+    }
+  }
+
+  let emulationFilters = {};
+
+  groups.forEach(({selectors, exceptionDomains}, key) =>
+  {
+    let domain = key.split(" ")[0];
+    let entry = {selectors};
+
+    if (exceptionDomains.length > 0)
+      entry.excludedDomains = exceptionDomains;
+
+    // Like for the element hiding rules, only the exceptions for URLs which
+    // can be on the domain are included.
+    let excludedURLs = [];
+    for (let {regexp, hostname} of elemhideExceptions.urls)
+    {
+      if (!hostname || hostname == domain || hostname.endsWith("." + domain) ||
+          domain.endsWith("." + hostname))
+        excludedURLs.push(regexp);
+    }
+    if (excludedURLs.length > 0)
+      entry.excludedURLs = excludedURLs;
+
+    if (!emulationFilters.hasOwnProperty(domain))
+      emulationFilters[domain] = [];
+    emulationFilters[domain].push(entry);
+  });
+
+  return emulationFilters;
+};
+
+/**
+ * Generate content blocker lists for all filters that were added, splitting
+ * up the rules so that no list has more rules than the ruleLimit option. If
+ * the sourceMap option is set, the sourceMap property contains a separate
+ * source map for each of the lists afterwards.
+ *
+ * @returns {Promise.<Array.<object[]>>}
+ */
+ContentBlockerList.prototype.generateRuleLists = function()
+{
+  return this.generateRules().then(rules =>
+  {
+    let partitions = partitionRules(rules, this.options.ruleLimit);
+
+    if (this.sourceMap)
+    {
+      let {sourceMap} = this;
+      this.sourceMap = partitions.map(
+        indices => indices.map(index => sourceMap[index])
+      );
+    }
+
+    return partitions.map(indices => indices.map(index => rules[index]));
+  });
+};
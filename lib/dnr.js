@@ -0,0 +1,332 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module dnr */
+
+"use strict";
+
+let {domainToASCII} = require("url");
+let filterClasses = require("../adblockpluscore/lib/filterClasses");
+let resources = require("../adblockpluscore/data/resources.json");
+
+const typeMap = filterClasses.RegExpFilter.typeMap;
+
+// Exception rules take precedence over blocking rules, like exception filters
+// do in Adblock Plus. This way, "allowAllRequests" rules for $document
+// exceptions also allow the requests made by the frames they apply to.
+const blockingPriority = 1;
+const exceptionPriority = 2;
+
+// The declarativeNetRequest resource types for the request types of Adblock
+// Plus. There is no resource type for pop-ups and WebRTC connections.
+const resourceTypes = [
+  [typeMap.OTHER, "other"],
+  [typeMap.SCRIPT, "script"],
+  [typeMap.IMAGE, "image"],
+  [typeMap.STYLESHEET, "stylesheet"],
+  [typeMap.OBJECT | typeMap.OBJECT_SUBREQUEST, "object"],
+  [typeMap.SUBDOCUMENT, "sub_frame"],
+  [typeMap.WEBSOCKET, "websocket"],
+  [typeMap.PING, "ping"],
+  [typeMap.XMLHTTPREQUEST, "xmlhttprequest"],
+  [typeMap.MEDIA, "media"],
+  [typeMap.FONT, "font"]
+];
+
+const supportedRequestTypes = resourceTypes.reduce(
+  (types, [type]) => types | type, 0
+);
+const unsupportedRequestTypes = typeMap.POPUP | typeMap.WEBRTC;
+const defaultContentType = filterClasses.RegExpFilter.prototype.contentType;
+
+// RE2, which is used for "regexFilter", doesn't allow larger repetition
+// counts.
+const maxRepetitions = 1000;
+
+/**
+ * The directory of the extension containing the resources that $rewrite
+ * filters redirect to, e.g. "/resources/blank-js.js" for
+ * "$rewrite=abp-resource:blank-js". The file extension is derived from the
+ * resource's MIME type.
+ */
+const resourcesPath = "/resources/";
+
+const resourceExtensions = new Map([
+  ["text/plain", "txt"],
+  ["text/css", "css"],
+  ["application/javascript", "js"],
+  ["text/html", "html"],
+  ["audio/mpeg", "mp3"],
+  ["image/gif", "gif"],
+  ["image/png", "png"]
+]);
+
+function getResourceTypes(contentType)
+{
+  // Without resource types, a rule applies to any request except for
+  // top-level documents, like filters without type options do.
+  if ((contentType & (supportedRequestTypes | typeMap.DOCUMENT)) ==
+      supportedRequestTypes)
+    return null;
+
+  let types = [];
+
+  if (contentType & typeMap.DOCUMENT)
+    types.push("main_frame");
+
+  for (let [type, resourceType] of resourceTypes)
+  {
+    if (contentType & type)
+      types.push(resourceType);
+  }
+
+  return types;
+}
+
+function reportResourceTypes(filter, converted, report)
+{
+  // Filters applying to all types by default are still converted exactly,
+  // but filters explicitly blocking pop-ups or WebRTC connections aren't.
+  if (filter.contentType != defaultContentType &&
+      filter.contentType & unsupportedRequestTypes)
+  {
+    if (converted)
+      report.approximated(filter, "resource_type_not_supported");
+    else
+      report.dropped(filter, "resource_type_not_supported");
+  }
+  else if (!converted)
+  {
+    report.dropped(filter, "no_resource_types");
+  }
+}
+
+function getResourcePath(name)
+{
+  let match = /^data:([^;,]*)/.exec(resources[name]);
+  let extension = match && resourceExtensions.get(match[1]);
+  return resourcesPath + name + (extension ? "." + extension : "");
+}
+
+/**
+ * Convert a filter's pattern into a "urlFilter", which uses the same syntax,
+ * but has to be ASCII, e.g. "||münchen.de^" becomes "||xn--mnchen-3ya.de^".
+ *
+ * @param {string} pattern
+ * @returns {?string} The URL filter, or null if the filter matches any URL
+ */
+function convertPattern(pattern)
+{
+  // A URL filter can't start with "||*", but it's equivalent to "*".
+  pattern = pattern.replace(/^\|\|\*+/, "*");
+  if (/^\**$/.test(pattern))
+    return null;
+
+  let match = /^\|\|([^/^*|:?]+)(.*)$/.exec(pattern);
+  if (match && /[^\x00-\x7F]/.test(match[1]))
+    pattern = "||" + (domainToASCII(match[1]) || match[1]) + match[2];
+
+  return pattern.replace(/[^\x00-\x7F]+/g, encodeURIComponent);
+}
+
+function parseDomains(domains, included, excluded)
+{
+  if (!domains)
+    return;
+
+  for (let [domain, enabled] of domains)
+  {
+    if (domain != "")
+    {
+      domain = domainToASCII(domain) || domain;
+      if (enabled)
+        included.push(domain);
+      else
+        excluded.push(domain);
+    }
+  }
+}
+
+function getCondition(filter, types, excludedDomains)
+{
+  let condition = {};
+
+  if (filter.pattern == null)
+  {
+    condition.regexFilter = filter.regexp.source;
+  }
+  else
+  {
+    let urlFilter = convertPattern(filter.pattern);
+    if (urlFilter)
+      condition.urlFilter = urlFilter;
+  }
+
+  if (filter.matchCase)
+    condition.isUrlFilterCaseSensitive = true;
+
+  let included = [];
+  let excluded = [];
+  parseDomains(filter.domains, included, excluded);
+  excluded.push(...excludedDomains);
+
+  if (included.length > 0)
+    condition.initiatorDomains = included;
+  if (excluded.length > 0)
+    condition.excludedInitiatorDomains = Array.from(new Set(excluded));
+
+  if (filter.thirdParty != null)
+    condition.domainType = filter.thirdParty ? "thirdParty" : "firstParty";
+
+  if (types)
+    condition.resourceTypes = types;
+
+  return condition;
+}
+
+/**
+ * Check whether a JavaScript regular expression can be used as "regexFilter",
+ * which only supports the RE2 syntax, i.e. no lookarounds and
+ * backreferences.
+ *
+ * @param {string} source The source of the regular expression, without
+ *                        slashes and flags
+ * @returns {?string} The reason why the regular expression can't be used, or
+ *                    null if it can
+ */
+exports.checkRegExp = function(source)
+{
+  let inSet = false;
+
+  for (let i = 0; i < source.length; i++)
+  {
+    let c = source[i];
+
+    if (c == "\\")
+    {
+      let next = source[++i];
+      if (!inSet && (/[1-9]/.test(next) || source.substr(i, 2) == "k<"))
+        return "regexp_backreference";
+      if (next == "u" || next == "c")
+        return "regexp_unsupported_escape";
+    }
+    else if (inSet)
+    {
+      inSet = c != "]";
+    }
+    else if (c == "[")
+    {
+      inSet = true;
+    }
+    else if (c == "(" && /^\?<?[=!]/.test(source.substr(i + 1, 3)))
+    {
+      return "regexp_lookaround";
+    }
+    else if (c == "{")
+    {
+      let match = /^\{(\d+)(?:,(\d*))?\}/.exec(source.substr(i));
+      if (match && Math.max(match[1], match[2] || 0) > maxRepetitions)
+        return "regexp_too_complex";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert request filters into declarativeNetRequest rules, for Chromium and
+ * Firefox extensions using Manifest V3. Exception rules have a higher
+ * priority than blocking rules, $document exceptions are converted into
+ * "allowAllRequests" rules, and $rewrite filters into "redirect" rules to the
+ * extension's resources.
+ *
+ * @param {Filter[]} blockingFilters
+ * @param {Filter[]} exceptionFilters The exception filters for requests and
+ *                                    documents
+ * @param {string[]} genericblockDomains The domains generic blocking filters
+ *                                       don't apply to, due to $genericblock
+ *                                       exceptions
+ * @param {ConversionReport} report
+ * @returns {object[]} The rules without their IDs, each along with the filter
+ *                     it originates from: [{rule: {...}, filter: Filter}]
+ */
+exports.convertFilters = function(blockingFilters, exceptionFilters,
+                                  genericblockDomains, report)
+{
+  let rules = [];
+
+  let addRule = (filter, priority, action, types, excludedDomains) =>
+  {
+    rules.push({
+      rule: {priority, action,
+             condition: getCondition(filter, types, excludedDomains || [])},
+      filter
+    });
+  };
+
+  for (let filter of blockingFilters)
+  {
+    let types = getResourceTypes(filter.contentType);
+    let converted = !types || types.length > 0;
+
+    if (converted)
+    {
+      let action = {type: "block"};
+      if (filter.resourceName)
+      {
+        action = {
+          type: "redirect",
+          redirect: {extensionPath: getResourcePath(filter.resourceName)}
+        };
+      }
+      else if (filter.rewrite != null)
+      {
+        // Only rewrites to the resources of the extension can be converted.
+        report.approximated(filter, "rewrite_as_block");
+      }
+
+      addRule(filter, blockingPriority, action, types,
+              filter.isGeneric() ? genericblockDomains : null);
+    }
+
+    reportResourceTypes(filter, converted, report);
+  }
+
+  for (let filter of exceptionFilters)
+  {
+    let converted = false;
+
+    if (filter.contentType & typeMap.DOCUMENT)
+    {
+      addRule(filter, exceptionPriority, {type: "allowAllRequests"},
+              ["main_frame", "sub_frame"]);
+      converted = true;
+    }
+
+    let contentType = filter.contentType & supportedRequestTypes;
+    if (contentType)
+    {
+      addRule(filter, exceptionPriority, {type: "allow"},
+              getResourceTypes(contentType));
+      converted = true;
+    }
+
+    reportResourceTypes(filter, converted, report);
+  }
+
+  return rules;
+};
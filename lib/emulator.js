@@ -0,0 +1,270 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module emulator */
+
+"use strict";
+
+let {isThirdParty} = require("../adblockpluscore/lib/domain");
+
+const actionTypes = new Set(["block", "ignore-previous-rules",
+                             "css-display-none"]);
+
+// Before Safari 16.4, the "raw" resource type covered all of these.
+const rawResourceTypes = new Set(["raw", "fetch", "websocket", "ping",
+                                  "other"]);
+
+function compileRegExps(sources, caseSensitive)
+{
+  if (!sources)
+    return null;
+
+  return sources.map(source => new RegExp(source, caseSensitive ? "" : "i"));
+}
+
+function compileRule(rule, index)
+{
+  let {trigger, action} = rule;
+
+  if (!trigger || typeof trigger["url-filter"] != "string")
+    throw new Error("Rule " + index + " has no url-filter");
+  if (!action || !actionTypes.has(action.type))
+    throw new Error("Rule " + index + " has an unsupported action type");
+
+  return {
+    action,
+    urlFilter: compileRegExps([trigger["url-filter"]],
+                              trigger["url-filter-is-case-sensitive"])[0],
+    resourceTypes: trigger["resource-type"],
+    loadTypes: trigger["load-type"],
+    loadContexts: trigger["load-context"],
+    ifDomains: trigger["if-domain"],
+    unlessDomains: trigger["unless-domain"],
+    ifTopURLs: compileRegExps(trigger["if-top-url"],
+                              trigger["top-url-filter-is-case-sensitive"]),
+    unlessTopURLs: compileRegExps(trigger["unless-top-url"],
+                                  trigger["top-url-filter-is-case-sensitive"]),
+    ifFrameURLs: compileRegExps(trigger["if-frame-url"],
+                                trigger["frame-url-filter-is-case-sensitive"])
+  };
+}
+
+/**
+ * Split a selector list into its selectors, e.g. "a, b" into "a" and "b",
+ * ignoring commas inside of attribute selectors, pseudo-classes and strings.
+ *
+ * @param {string} selectorList
+ * @returns {string[]}
+ */
+function splitSelectorList(selectorList)
+{
+  let selectors = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selectorList.length; i++)
+  {
+    let c = selectorList[i];
+
+    if (c == "\\")
+      i++;
+    else if (quote)
+      quote = c == quote ? null : quote;
+    else if (c == "'" || c == "\"")
+      quote = c;
+    else if (c == "(" || c == "[")
+      depth++;
+    else if (c == ")" || c == "]")
+      depth--;
+    else if (c == "," && depth == 0)
+    {
+      selectors.push(selectorList.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+
+  selectors.push(selectorList.substring(start).trim());
+  return selectors;
+}
+
+function matchesDomains(domains, hostname)
+{
+  return domains.some(domain =>
+  {
+    // A leading "*" makes the domain match its subdomains as well.
+    if (domain[0] != "*")
+      return hostname == domain;
+
+    domain = domain.substr(1);
+    return hostname == domain || hostname.endsWith("." + domain);
+  });
+}
+
+function matchesResourceType(resourceTypes, type)
+{
+  return resourceTypes.includes(type) ||
+         (rawResourceTypes.has(type) && resourceTypes.includes("raw"));
+}
+
+function matchesTrigger(rule, request)
+{
+  if (!rule.urlFilter.test(request.url))
+    return false;
+
+  if (rule.resourceTypes &&
+      !matchesResourceType(rule.resourceTypes, request.type))
+    return false;
+
+  if (rule.loadTypes && !rule.loadTypes.includes(request.loadType))
+    return false;
+
+  if (rule.loadContexts && !rule.loadContexts.includes(request.loadContext))
+    return false;
+
+  if (rule.ifDomains && !matchesDomains(rule.ifDomains, request.domain))
+    return false;
+
+  if (rule.unlessDomains && matchesDomains(rule.unlessDomains, request.domain))
+    return false;
+
+  if (rule.ifTopURLs &&
+      !rule.ifTopURLs.some(regexp => regexp.test(request.topURL)))
+    return false;
+
+  if (rule.unlessTopURLs &&
+      rule.unlessTopURLs.some(regexp => regexp.test(request.topURL)))
+    return false;
+
+  if (rule.ifFrameURLs &&
+      !rule.ifFrameURLs.some(regexp => regexp.test(request.frameURL)))
+    return false;
+
+  return true;
+}
+
+/**
+ * Fill in the properties of a request which can be derived from the others,
+ * like WebKit does for an actual request.
+ *
+ * @param {object} request
+ * @returns {object}
+ */
+function normalizeRequest(request)
+{
+  let url = new URL(request.url);
+  let type = request.type || "raw";
+  let topURL = new URL(request.topURL || request.url);
+  let frameURL = new URL(request.frameURL || topURL.href);
+
+  let {loadContext, loadType, domain} = request;
+
+  if (!loadContext)
+  {
+    // Documents are loaded in a child frame unless they're the top-level
+    // document, any other requests are made by the frame they're loaded in.
+    let isChildFrame = type == "document" ? url.href != topURL.href :
+                                            frameURL.href != topURL.href;
+    loadContext = isChildFrame ? "child-frame" : "top-frame";
+  }
+
+  if (!domain)
+    domain = topURL.hostname;
+
+  if (!loadType)
+    loadType = isThirdParty(url, domain) ? "third-party" : "first-party";
+
+  return {url: url.href, type, topURL: topURL.href, frameURL: frameURL.href,
+          loadContext, loadType, domain};
+}
+
+let ContentBlockerEmulator =
+/**
+ * Create an emulator for the WebKit content blocker rule engine, in order to
+ * find out how the given rules behave without loading them into Safari.
+ *
+ * @param {object[]} rules The content blocker list
+ * @constructor
+ */
+exports.ContentBlockerEmulator = function(rules)
+{
+  this.rules = rules.map(compileRule);
+};
+
+/**
+ * Find the rules whose actions apply to a request, i.e. all matching rules
+ * after the last matching "ignore-previous-rules" rule.
+ *
+ * @param {object} request See evaluate()
+ * @returns {number[]} The indices of the rules
+ */
+ContentBlockerEmulator.prototype.getMatchingRules = function(request)
+{
+  request = normalizeRequest(request);
+
+  let indices = [];
+
+  this.rules.forEach((rule, index) =>
+  {
+    if (!matchesTrigger(rule, request))
+      return;
+
+    if (rule.action.type == "ignore-previous-rules")
+      indices = [];
+    else
+      indices.push(index);
+  });
+
+  return indices;
+};
+
+/**
+ * Evaluate the rules for a request. All properties except for the URL are
+ * optional, the resource type defaults to "raw" and the top-level URL to the
+ * request URL, while the load type, load context and document domain are
+ * derived from the URLs.
+ *
+ * @param {object} request
+ * @param {string} request.url The URL of the request
+ * @param {string} [request.type] The resource type, e.g. "image"
+ * @param {string} [request.topURL] The URL of the top-level document
+ * @param {string} [request.frameURL] The URL of the frame making the request
+ * @param {string} [request.loadType] "first-party" or "third-party"
+ * @param {string} [request.loadContext] "top-frame" or "child-frame"
+ * @param {string} [request.domain] The domain of the document
+ *
+ * @returns {object} The resulting action, either "block" or null, and the
+ *                   selectors to hide if the request is for a document:
+ *                     {action: "block", selectors: ["..."]}
+ */
+ContentBlockerEmulator.prototype.evaluate = function(request)
+{
+  let selectors = [];
+  let action = null;
+
+  for (let index of this.getMatchingRules(request))
+  {
+    let {type, selector} = this.rules[index].action;
+
+    if (type == "block")
+      action = "block";
+    else if (type == "css-display-none" && request.type == "document")
+      selectors.push(...splitSelectorList(selector));
+  }
+
+  return {action, selectors};
+};
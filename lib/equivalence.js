@@ -0,0 +1,263 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module equivalence */
+
+"use strict";
+
+let filterClasses = require("../adblockpluscore/lib/filterClasses");
+let {isThirdParty} = require("../adblockpluscore/lib/domain");
+let {ContentBlockerEmulator} = require("./emulator");
+
+const typeMap = filterClasses.RegExpFilter.typeMap;
+
+// The WebKit resource types for the Adblock Plus request types.
+const resourceTypes = {
+  OTHER: "other",
+  SCRIPT: "script",
+  IMAGE: "image",
+  STYLESHEET: "style-sheet",
+  OBJECT: "media",
+  SUBDOCUMENT: "document",
+  DOCUMENT: "document",
+  WEBSOCKET: "websocket",
+  WEBRTC: "other",
+  PING: "ping",
+  XMLHTTPREQUEST: "fetch",
+  OBJECT_SUBREQUEST: "other",
+  MEDIA: "media",
+  FONT: "font",
+  POPUP: "popup"
+};
+
+function findMatchingFilter(filters, location, typeMask, docDomain,
+                            thirdParty, specificOnly)
+{
+  for (let filter of filters)
+  {
+    if (specificOnly && filter.isGeneric())
+      continue;
+
+    if (filter.matches(location, typeMask, docDomain, thirdParty))
+      return filter;
+  }
+
+  return null;
+}
+
+function addMismatch(groups, filterText, request)
+{
+  let requests = groups.get(filterText);
+  if (!requests)
+    groups.set(filterText, requests = []);
+  requests.push(request);
+}
+
+function describeMismatches(groups)
+{
+  let mismatches = [];
+  for (let [filter, requests] of groups)
+    mismatches.push({filter, requests});
+  return mismatches;
+}
+
+let EquivalenceChecker =
+/**
+ * Create a checker comparing how Adblock Plus handles requests with the given
+ * filters to how WebKit handles them with the content blocker lists
+ * converted from those filters.
+ *
+ * @param {Filter[]} filters
+ * @constructor
+ */
+exports.EquivalenceChecker = function(filters)
+{
+  this.blockingFilters = [];
+  this.whitelistFilters = [];
+  this.ruleLists = [];
+
+  for (let filter of filters)
+  {
+    if (filter instanceof filterClasses.BlockingFilter)
+      this.blockingFilters.push(filter);
+    else if (filter instanceof filterClasses.WhitelistFilter)
+      this.whitelistFilters.push(filter);
+  }
+};
+
+/**
+ * Add a converted content blocker list. If there are several lists, as
+ * generated by ContentBlockerList.generateRuleLists(), a request is blocked
+ * if any of them blocks it.
+ *
+ * @param {object[]} rules
+ * @param {Array.<object[]>} [sourceMap] The filters each rule originates
+ *                                       from, see ContentBlockerList
+ */
+EquivalenceChecker.prototype.addRuleList = function(rules, sourceMap)
+{
+  this.ruleLists.push({emulator: new ContentBlockerEmulator(rules),
+                       sourceMap});
+};
+
+/**
+ * Find out whether Adblock Plus would block a request
+ *
+ * @param {object} request See check()
+ * @returns {object} Whether the request is blocked, and the filter deciding
+ *                   about it, if any:
+ *                     {blocked: true, filter: Filter}
+ */
+EquivalenceChecker.prototype.matchFilters = function(request)
+{
+  let {url, domain, thirdParty, documentURL} = request;
+  let typeMask = typeMap[request.type.toUpperCase()];
+
+  let documentFilter = findMatchingFilter(this.whitelistFilters, documentURL,
+                                          typeMap.DOCUMENT, domain, false);
+  if (documentFilter)
+    return {blocked: false, filter: documentFilter};
+
+  let specificOnly = !!findMatchingFilter(this.whitelistFilters, documentURL,
+                                          typeMap.GENERICBLOCK, domain, false);
+
+  let filter = findMatchingFilter(this.whitelistFilters, url, typeMask, domain,
+                                  thirdParty);
+  if (filter)
+    return {blocked: false, filter};
+
+  filter = findMatchingFilter(this.blockingFilters, url, typeMask, domain,
+                              thirdParty, specificOnly);
+  return {blocked: !!filter, filter};
+};
+
+/**
+ * Find out whether the content blocker lists would block a request
+ *
+ * @param {object} request See check()
+ * @returns {object} Whether the request is blocked, and the texts of the
+ *                   filters the blocking rules originate from:
+ *                     {blocked: true, filters: ["..."]}
+ */
+EquivalenceChecker.prototype.matchRules = function(request)
+{
+  let {url, type, domain, thirdParty, documentURL} = request;
+  let webkitRequest = {
+    url,
+    type: resourceTypes[type.toUpperCase()],
+    topURL: type.toUpperCase() == "DOCUMENT" ? url : documentURL,
+    loadType: thirdParty ? "third-party" : "first-party",
+    loadContext: type.toUpperCase() == "SUBDOCUMENT" ? "child-frame" :
+                                                       "top-frame",
+    domain
+  };
+
+  let filters = new Set();
+
+  for (let {emulator, sourceMap} of this.ruleLists)
+  {
+    for (let index of emulator.getMatchingRules(webkitRequest))
+    {
+      if (emulator.rules[index].action.type != "block")
+        continue;
+
+      if (sourceMap)
+      {
+        for (let source of sourceMap[index])
+          filters.add(source.filter);
+      }
+      else
+      {
+        filters.add(null);
+      }
+    }
+  }
+
+  return {blocked: filters.size > 0, filters: Array.from(filters)};
+};
+
+/**
+ * Compare the decisions for the given requests, e.g. recorded while browsing
+ * with Adblock Plus. Requests that are blocked by the content blocker lists
+ * but not by Adblock Plus are false positives, grouped by the filters the
+ * blocking rules originate from. Requests that are only blocked by Adblock
+ * Plus are false negatives, grouped by the blocking filter.
+ *
+ * @param {object[]} requests
+ * @param {string} requests[].url The URL of the request
+ * @param {string} requests[].type The Adblock Plus request type, e.g. "image"
+ *                                 or "xmlhttprequest"
+ * @param {string} requests[].domain The domain of the document
+ * @param {boolean} [requests[].thirdParty] Whether the request is third-party,
+ *                                          derived from the URL and domain by
+ *                                          default
+ * @param {string} [requests[].documentURL] The URL of the document, by
+ *                                          default "https://" followed by its
+ *                                          domain
+ *
+ * @returns {object} The number of requests per outcome and the mismatches:
+ *                     {summary: {requests: 0, matching: 0,
+ *                                falsePositives: 0, falseNegatives: 0},
+ *                      falsePositives: [{filter: "...", requests: [...]}],
+ *                      falseNegatives: [{filter: "...", requests: [...]}]}
+ */
+EquivalenceChecker.prototype.check = function(requests)
+{
+  let summary = {requests: 0, matching: 0, falsePositives: 0,
+                 falseNegatives: 0};
+  let falsePositives = new Map();
+  let falseNegatives = new Map();
+
+  for (let request of requests)
+  {
+    let {url, type, domain, thirdParty, documentURL} = request;
+
+    if (!(type.toUpperCase() in resourceTypes))
+      throw new Error("Unknown request type: " + type);
+    if (!documentURL)
+      documentURL = "https://" + domain + "/";
+    if (thirdParty == null)
+      thirdParty = isThirdParty(new URL(url), domain);
+
+    let normalized = Object.assign({}, request,
+                                   {documentURL, thirdParty: !!thirdParty});
+    let expected = this.matchFilters(normalized);
+    let actual = this.matchRules(normalized);
+
+    summary.requests++;
+
+    if (expected.blocked == actual.blocked)
+    {
+      summary.matching++;
+    }
+    else if (actual.blocked)
+    {
+      summary.falsePositives++;
+      for (let filter of actual.filters)
+        addMismatch(falsePositives, filter, request);
+    }
+    else
+    {
+      summary.falseNegatives++;
+      addMismatch(falseNegatives, expected.filter.text, request);
+    }
+  }
+
+  return {summary,
+          falsePositives: describeMismatches(falsePositives),
+          falseNegatives: describeMismatches(falseNegatives)};
+};
@@ -0,0 +1,127 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module hosts */
+
+"use strict";
+
+/**
+ * The formats of DNS-level block lists, along with how to block a hostname,
+ * including its subdomains except for hosts files, and how to allow the
+ * subdomain of a blocked hostname again, if possible
+ */
+const syntaxes = {
+  hosts: {
+    block: hostname => "0.0.0.0 " + hostname,
+    subdomains: false
+  },
+  dnsmasq: {
+    block: hostname => "address=/" + hostname + "/#",
+    allow: hostname => "server=/" + hostname + "/#",
+    subdomains: true
+  },
+  unbound: {
+    block: hostname => "local-zone: \"" + hostname + "\" always_nxdomain",
+    allow: hostname => "local-zone: \"" + hostname + "\" transparent",
+    subdomains: true
+  }
+};
+
+exports.hostsFormats = Object.keys(syntaxes);
+
+/**
+ * Find the given hostname, or else the closest of its parent domains, in a
+ * map of hostnames
+ *
+ * @param {string} hostname
+ * @param {Map} hostnames
+ * @returns {?string}
+ */
+function findHostname(hostname, hostnames)
+{
+  for (let name = hostname; name; name = name.replace(/^[^.]*\.?/, ""))
+  {
+    if (hostnames.has(name))
+      return name;
+  }
+
+  return null;
+}
+
+/**
+ * Generate a DNS-level block list for the hostnames blocked by filters like
+ * "||example.com^", except for those allowed by exceptions like
+ * "@@||example.com^". Hosts files only block the exact hostnames, while
+ * dnsmasq and Unbound also block their subdomains, and subdomains allowed by
+ * exceptions are allowed again.
+ *
+ * @param {Map.<string,Filter[]>} blocked The blocked hostnames, along with the
+ *                                        filters blocking them
+ * @param {Map.<string,Filter[]>} allowed The hostnames allowed by exceptions,
+ *                                        along with the exceptions
+ * @param {string} format One of hostsFormats, e.g. "dnsmasq"
+ * @param {ConversionReport} report
+ * @returns {object[]} The lines of the block list, each along with the
+ *                     filters it originates from:
+ *                       [{line: "...", filters: [...]}]
+ */
+exports.generateHostsList = function(blocked, allowed, format, report)
+{
+  let {block, allow, subdomains} = syntaxes[format];
+  let entries = new Map();
+
+  // Exceptions apply to the subdomains of the hostname as well.
+  for (let [hostname, filters] of blocked)
+  {
+    if (!findHostname(hostname, allowed))
+      entries.set(hostname, {line: block(hostname), filters: filters.slice()});
+  }
+
+  if (!subdomains)
+  {
+    for (let {filters} of entries.values())
+    {
+      for (let filter of filters)
+        report.approximated(filter, "subdomains_not_blocked");
+    }
+
+    return Array.from(entries.values());
+  }
+
+  // Hostnames whose parent domain is blocked already don't need an entry of
+  // their own.
+  for (let [hostname, entry] of entries)
+  {
+    let parent = findHostname(hostname.replace(/^[^.]*\./, ""), entries);
+    if (parent && parent != hostname)
+    {
+      entries.get(parent).filters.push(...entry.filters);
+      entries.delete(hostname);
+    }
+  }
+
+  let lines = Array.from(entries.values());
+
+  for (let [hostname, filters] of allowed)
+  {
+    let parent = findHostname(hostname, entries);
+    if (parent && parent != hostname)
+      lines.push({line: allow(hostname), filters});
+  }
+
+  return lines;
+};
@@ -0,0 +1,156 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module pac */
+
+"use strict";
+
+// The part of the PAC file looking up the host and URL of a request, after
+// the variables holding the hostnames and regular expressions. PAC files are
+// run by engines which might not support ES6, hence the old-fashioned syntax.
+const findProxyForURLSource = [
+  "function matchesHost(host, hosts)",
+  "{",
+  "  for (;;)",
+  "  {",
+  "    if (Object.prototype.hasOwnProperty.call(hosts, host))",
+  "      return true;",
+  "",
+  "    var index = host.indexOf(\".\");",
+  "    if (index < 0)",
+  "      return false;",
+  "    host = host.substr(index + 1);",
+  "  }",
+  "}",
+  "",
+  "function matchesURL(url, regexps)",
+  "{",
+  "  for (var i = 0; i < regexps.length; i++)",
+  "  {",
+  "    if (regexps[i].test(url))",
+  "      return true;",
+  "  }",
+  "  return false;",
+  "}",
+  "",
+  "function FindProxyForURL(url, host)",
+  "{",
+  "  host = host.toLowerCase().replace(/\\.$/, \"\");",
+  "",
+  "  if (matchesHost(host, allowedHosts) || matchesURL(url, allowedURLs))",
+  "    return \"DIRECT\";",
+  "  if (matchesHost(host, blockedHosts) || matchesURL(url, blockedURLs))",
+  "    return proxy;",
+  "",
+  "  return \"DIRECT\";",
+  "}"
+];
+
+function addVariable(lines, name, open, entries, close)
+{
+  lines.push({line: "var " + name + " = " + open, filters: []});
+
+  entries.forEach(({line, filters}, index) =>
+  {
+    lines.push({line: "  " + line + (index < entries.length - 1 ? "," : ""),
+                filters});
+  });
+
+  lines.push({line: close + ";", filters: []});
+}
+
+function getHostEntries(hostnames)
+{
+  return Array.from(hostnames, ([hostname, filters]) => ({
+    line: JSON.stringify(hostname) + ": true",
+    filters
+  }));
+}
+
+function addURLVariable(lines, name, patterns)
+{
+  // Testing thousands of regular expressions one by one for every request
+  // would be slow, so they are combined into one for each case-sensitivity.
+  let groups = [patterns.filter(({matchCase}) => !matchCase),
+                patterns.filter(({matchCase}) => matchCase)];
+  let flags = [", \"i\"", ""];
+  let last = groups[1].length > 0 ? 1 : 0;
+
+  lines.push({line: "var " + name + " = [", filters: []});
+
+  groups.forEach((group, index) =>
+  {
+    if (group.length == 0)
+      return;
+
+    lines.push({line: "  new RegExp([", filters: []});
+
+    group.forEach(({regexp, filter}, entryIndex) =>
+    {
+      lines.push({
+        line: "    " + JSON.stringify("(?:" + regexp + ")") +
+              (entryIndex < group.length - 1 ? "," : ""),
+        filters: [filter]
+      });
+    });
+
+    lines.push({line: "  ].join(\"|\")" + flags[index] + ")" +
+                      (index < last ? "," : ""),
+                filters: []});
+  });
+
+  lines.push({line: "];", filters: []});
+}
+
+/**
+ * Generate a proxy auto-config (PAC) file, sending the requests blocked by
+ * the filters to a proxy which doesn't forward them. Hostnames are looked up
+ * in a hash table, along with their parent domains, while the URLs are
+ * matched against the regular expressions of the other filters, combined into
+ * one for each case-sensitivity. Requests allowed by exceptions are never sent
+ * to the proxy.
+ *
+ * @param {object} blocked The requests to block
+ * @param {Map.<string,Filter[]>} blocked.hosts The hostnames, including their
+ *                                              subdomains, along with the
+ *                                              filters for them
+ * @param {object[]} blocked.urls The regular expressions for the URLs, along
+ *                                with the filters they originate from:
+ *                                  [{regexp: "...", matchCase: false,
+ *                                    filter: Filter}]
+ * @param {object} allowed The requests to allow, see blocked
+ * @param {string} proxy The proxy to send the blocked requests to, e.g.
+ *                       "127.0.0.1:9"
+ * @returns {object[]} The lines of the PAC file, each along with the filters
+ *                     it originates from: [{line: "...", filters: [...]}]
+ */
+exports.generatePAC = function(blocked, allowed, proxy)
+{
+  let lines = [{line: "var proxy = " + JSON.stringify("PROXY " + proxy) + ";",
+                filters: []}];
+
+  addVariable(lines, "blockedHosts", "{", getHostEntries(blocked.hosts), "}");
+  addVariable(lines, "allowedHosts", "{", getHostEntries(allowed.hosts), "}");
+  addURLVariable(lines, "blockedURLs", blocked.urls);
+  addURLVariable(lines, "allowedURLs", allowed.urls);
+
+  lines.push({line: "", filters: []});
+  for (let line of findProxyForURLSource)
+    lines.push({line, filters: []});
+
+  return lines;
+};
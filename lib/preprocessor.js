@@ -0,0 +1,228 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module preprocessor */
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+
+/**
+ * Evaluate the condition of an "!#if" directive, e.g.
+ * "ext_safari && !env_mobile". Conditions consist of symbols, which are true
+ * if they are defined, combined with "!", "&&", "||" and parentheses.
+ *
+ * @param {string} condition
+ * @param {Set.<string>} defines The defined symbols
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, defines)
+{
+  let tokens = condition.match(/\s*(?:&&|\|\||[!()]|[^\s!&|()]+|.)/g) || [];
+  tokens = tokens.map(token => token.trim());
+  let position = 0;
+
+  function fail()
+  {
+    throw new Error("Invalid condition: " + condition);
+  }
+
+  function parseOperand()
+  {
+    let token = tokens[position++];
+
+    if (token == "!")
+      return !parseOperand();
+
+    if (token == "(")
+    {
+      let value = parseOr();
+      if (tokens[position++] != ")")
+        fail();
+      return value;
+    }
+
+    if (!token || !/^[\w.-]+$/.test(token))
+      fail();
+
+    return defines.has(token);
+  }
+
+  function parseAnd()
+  {
+    let value = parseOperand();
+    while (tokens[position] == "&&")
+    {
+      position++;
+      value = parseOperand() && value;
+    }
+    return value;
+  }
+
+  function parseOr()
+  {
+    let value = parseAnd();
+    while (tokens[position] == "||")
+    {
+      position++;
+      value = parseAnd() || value;
+    }
+    return value;
+  }
+
+  let result = parseOr();
+  if (position < tokens.length)
+    fail();
+  return result;
+}
+
+let Preprocessor =
+/**
+ * Create a preprocessor for filter lists, resolving "!#include" directives
+ * and "!#if" / "!#else" / "!#endif" blocks. Included files have to be inside
+ * of the base directory, which defaults to the directory of the filter list
+ * the preprocessor is run on.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseDir] The directory included files are
+ *                                   restricted to
+ * @param {string[]} [options.defines] The symbols "!#if" conditions are true
+ *                                     for, e.g. ["ext_safari", "env_macos"]
+ * @param {function} [options.readFile] Function returning the contents of a
+ *                                      file, fs.readFileSync by default
+ * @constructor
+ */
+exports.Preprocessor = function(options)
+{
+  options = options || {};
+
+  this.baseDir = options.baseDir;
+  this.defines = new Set(options.defines || []);
+  this.readFile = options.readFile ||
+                  (file => fs.readFileSync(file, "utf-8"));
+};
+
+/**
+ * Resolve the file name given in an "!#include" directive
+ *
+ * @param {string} name
+ * @param {string} file The file containing the directive, "-" for standard
+ *                      input
+ * @param {string} baseDir
+ * @returns {string}
+ */
+Preprocessor.prototype.resolveInclude = function(name, file, baseDir)
+{
+  if (/^[\w-]+:/.test(name) || path.isAbsolute(name))
+    throw new Error("Include must be a relative path: " + name);
+
+  let dir = file == "-" ? "." : path.dirname(file);
+  let resolved = path.join(dir, name);
+
+  let relative = path.relative(path.resolve(baseDir), path.resolve(resolved));
+  if (relative == ".." || relative.startsWith(".." + path.sep))
+    throw new Error("Include outside of " + baseDir + ": " + name);
+
+  return resolved;
+};
+
+/**
+ * Preprocess a filter list, replacing "!#include" directives with the lines
+ * of the included files and leaving out the lines of "!#if" blocks whose
+ * condition isn't met. Only the filters of included files are kept, not
+ * their header or comments.
+ *
+ * @param {string} text The contents of the filter list
+ * @param {string} file The file name of the filter list, "-" for standard
+ *                      input
+ * @returns {object[]} The lines, along with where they were found:
+ *                       [{text: "...", origin: {file: "...", line: 1}}]
+ */
+Preprocessor.prototype.process = function(text, file)
+{
+  let baseDir = this.baseDir;
+  if (!baseDir)
+    baseDir = file == "-" ? "." : path.dirname(file);
+
+  let lines = [];
+  this.processFile(text, file, baseDir, [], lines);
+  return lines;
+};
+
+Preprocessor.prototype.processFile = function(text, file, baseDir,
+                                               includeStack, lines)
+{
+  let included = includeStack.length > 0;
+  includeStack = includeStack.concat(path.resolve(file));
+
+  // Whether the lines of each enclosing "!#if" block are used, and whether
+  // its "!#else" was reached yet.
+  let conditions = [];
+  let active = () => conditions.every(condition => condition.active);
+
+  text.split(/\r?\n/).forEach((line, index) =>
+  {
+    let match = /^\s*!#(if|else|endif|include)\b\s*(.*?)\s*$/.exec(line);
+    let directive = match && match[1];
+    let location = " in " + file + " at line " + (index + 1);
+
+    if (directive == "if")
+    {
+      conditions.push({active: active() &&
+                               evaluateCondition(match[2], this.defines),
+                       parentActive: active(),
+                       hasElse: false});
+    }
+    else if (directive == "else" || directive == "endif")
+    {
+      let condition = conditions[conditions.length - 1];
+      if (!condition || (directive == "else" && condition.hasElse))
+        throw new Error("Unexpected !#" + directive + location);
+
+      if (directive == "endif")
+      {
+        conditions.pop();
+      }
+      else
+      {
+        condition.active = condition.parentActive && !condition.active;
+        condition.hasElse = true;
+      }
+    }
+    else if (!active())
+    {
+      return;
+    }
+    else if (directive == "include")
+    {
+      let includedFile = this.resolveInclude(match[2], file, baseDir);
+      if (includeStack.includes(path.resolve(includedFile)))
+        throw new Error("Recursive include: " + includedFile);
+
+      this.processFile(this.readFile(includedFile), includedFile, baseDir,
+                       includeStack, lines);
+    }
+    else if (!included || /^\s*[^!\[\s]/.test(line))
+    {
+      lines.push({text: line, origin: {file, line: index + 1}});
+    }
+  });
+
+  if (conditions.length > 0)
+    throw new Error("Missing !#endif in " + file);
+};
@@ -0,0 +1,465 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module regexp */
+
+"use strict";
+
+// WebKit only supports a subset of the regular expression syntax in
+// "url-filter": literal characters, ".", character sets, groups, the "*", "+"
+// and "?" quantifiers, and "^" and "$" at the very beginning and end. Anything
+// else has to be rewritten in terms of those, or can't be converted at all.
+
+// Bounded quantifiers are expanded by repeating the quantified atom, e.g.
+// "a{2,3}" becomes "aaa?". Above this many repetitions, we approximate the
+// quantifier with "+" instead.
+const repetitionLimit = 32;
+
+// Alternations are expanded into one regular expression for each alternative,
+// e.g. "(ad|banner)s" becomes "ads" and "banners". Above this many
+// regular expressions, we give up.
+const alternativeLimit = 16;
+
+const characterClasses = {
+  d: "0-9",
+  w: "A-Za-z0-9_"
+};
+
+// Tokens for the anchors, in order to tell them apart from escaped "^" and "$"
+// after the alternatives have been expanded.
+const startAnchor = {};
+const endAnchor = {};
+
+function unsupported(reason)
+{
+  let error = new Error("Unsupported regular expression: " + reason);
+  error.reason = reason;
+  throw error;
+}
+
+function escapeCharacter(c)
+{
+  return /[.*+?^${}()|[\]\\]/.test(c) ? "\\" + c : c;
+}
+
+function escapeSetCharacter(c)
+{
+  return /[\\\]\[^-]/.test(c) ? "\\" + c : c;
+}
+
+function RegExpParser(source)
+{
+  this.source = source;
+  this.index = 0;
+  this.reasons = new Set();
+}
+
+RegExpParser.prototype.peek = function(length)
+{
+  return this.source.substr(this.index, length || 1);
+};
+
+RegExpParser.prototype.next = function()
+{
+  if (this.index >= this.source.length)
+    unsupported("regexp_syntax");
+
+  return this.source[this.index++];
+};
+
+RegExpParser.prototype.checkCharacter = function(c)
+{
+  if (/[^\x20-\x7E]/.test(c))
+    unsupported("regexp_non_ascii");
+
+  return c;
+};
+
+/**
+ * Parse the alternatives of the whole regular expression, or of a group
+ *
+ * @returns {Array.<Array.<object>>} The alternatives, each a list of terms
+ */
+RegExpParser.prototype.parseDisjunction = function()
+{
+  let alternatives = [[]];
+
+  while (this.index < this.source.length && this.peek() != ")")
+  {
+    if (this.peek() == "|")
+    {
+      this.index++;
+      alternatives.push([]);
+    }
+    else
+    {
+      alternatives[alternatives.length - 1].push(this.parseTerm());
+    }
+  }
+
+  return alternatives;
+};
+
+RegExpParser.prototype.parseTerm = function()
+{
+  let c = this.peek();
+
+  if (c == "^" || c == "$")
+  {
+    this.index++;
+    if (/^[*+?{]/.test(this.peek()))
+      unsupported("regexp_anchor");
+    return {anchor: c == "^" ? startAnchor : endAnchor};
+  }
+
+  if (c == "\\" && /^\\[bB]$/.test(this.peek(2)))
+    unsupported("regexp_word_boundary");
+
+  let term = {atom: this.parseAtom(), min: 1, max: 1};
+  let match = /^\{(\d+)(,(\d*))?\}/.exec(this.source.substr(this.index));
+
+  c = this.peek();
+  if (c == "*" || c == "+" || c == "?")
+  {
+    this.index++;
+    term.min = c == "+" ? 1 : 0;
+    term.max = c == "?" ? 1 : Infinity;
+  }
+  else if (match)
+  {
+    this.index += match[0].length;
+    term.min = parseInt(match[1], 10);
+    term.max = !match[2] ? term.min :
+               match[3] ? parseInt(match[3], 10) : Infinity;
+  }
+  else
+  {
+    return term;
+  }
+
+  // Whether a quantifier is lazy or greedy doesn't make a difference to
+  // whether the regular expression matches or not.
+  if (this.peek() == "?")
+    this.index++;
+
+  if (/^[*+?]/.test(this.peek()))
+    unsupported("regexp_syntax");
+
+  return term;
+};
+
+RegExpParser.prototype.parseAtom = function()
+{
+  let c = this.next();
+
+  switch (c)
+  {
+    case ".":
+      return {source: "."};
+    case "[":
+      return {source: this.parseSet()};
+    case "(":
+      return this.parseGroup();
+    case "\\":
+      return this.parseEscape();
+    case ")": case "*": case "+": case "?":
+      unsupported("regexp_syntax");
+  }
+
+  return {source: escapeCharacter(this.checkCharacter(c))};
+};
+
+RegExpParser.prototype.parseGroup = function()
+{
+  if (this.peek() == "?")
+  {
+    let prefix = this.peek(3);
+    if (/^\?(<?[=!])/.test(prefix))
+      unsupported("regexp_lookaround");
+    else if (prefix.startsWith("?:"))
+      this.index += 2;
+    else if (prefix.startsWith("?<") && this.source.includes(">", this.index))
+      this.index = this.source.indexOf(">", this.index) + 1;
+    else
+      unsupported("regexp_syntax");
+  }
+
+  let alternatives = this.parseDisjunction();
+  if (this.next() != ")")
+    unsupported("regexp_syntax");
+
+  return {alternatives};
+};
+
+RegExpParser.prototype.parseEscape = function()
+{
+  let c = this.next();
+
+  if (c in characterClasses)
+    return {source: "[" + characterClasses[c] + "]"};
+  if (c.toLowerCase() in characterClasses)
+    return {source: "[^" + characterClasses[c.toLowerCase()] + "]"};
+
+  return {source: escapeCharacter(this.parseEscapedCharacter(c))};
+};
+
+RegExpParser.prototype.parseEscapedCharacter = function(c)
+{
+  if (/[1-9k]/.test(c))
+    unsupported("regexp_backreference");
+
+  if (c == "x" || c == "u")
+  {
+    let digits = c == "x" ? 2 : 4;
+    let hex = this.source.substr(this.index, digits);
+    if (!new RegExp("^[0-9a-fA-F]{" + digits + "}$").test(hex))
+      unsupported("regexp_syntax");
+
+    this.index += digits;
+    return this.checkCharacter(String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  // Any other letters or digits are escapes for characters which can't occur
+  // in URLs, e.g. "\n", or character classes we don't support, e.g. "\s".
+  if (/[A-Za-z0-9]/.test(c))
+    unsupported("regexp_unsupported_escape");
+
+  return this.checkCharacter(c);
+};
+
+RegExpParser.prototype.parseSet = function()
+{
+  let negated = false;
+  if (this.peek() == "^")
+  {
+    this.index++;
+    negated = true;
+  }
+
+  let items = [];
+  while (this.peek() != "]")
+  {
+    let item = this.parseSetCharacter();
+    if (item.length == 1 && this.peek() == "-" && this.peek(2) != "-]")
+    {
+      this.index++;
+      let end = this.parseSetCharacter();
+      if (end.length != 1)
+        unsupported("regexp_syntax");
+      item = escapeSetCharacter(item) + "-" + escapeSetCharacter(end);
+    }
+    else if (item.length == 1)
+    {
+      item = escapeSetCharacter(item);
+    }
+    items.push(item);
+  }
+  this.index++;
+
+  // An empty set never matches, while a negated one matches any character.
+  if (items.length == 0)
+    unsupported("regexp_syntax");
+
+  return "[" + (negated ? "^" : "") + items.join("") + "]";
+};
+
+/**
+ * Parse a single character of a character set, or a character class inside
+ * a set, e.g. "\d"
+ *
+ * @returns {string} The character, or the source of the character class
+ */
+RegExpParser.prototype.parseSetCharacter = function()
+{
+  let c = this.next();
+  if (c != "\\")
+    return this.checkCharacter(c);
+
+  c = this.next();
+  if (c in characterClasses)
+    return characterClasses[c];
+
+  // "\b" is a backspace inside of a set.
+  if (c == "b")
+    unsupported("regexp_unsupported_escape");
+
+  return this.parseEscapedCharacter(c);
+};
+
+/**
+ * Expand the given alternatives into all combinations of their terms
+ *
+ * @param {Array.<Array.<object>>} alternatives
+ * @returns {Array.<Array>} A list of token lists, the tokens being either
+ *                          sources or anchors
+ */
+RegExpParser.prototype.expandAlternatives = function(alternatives)
+{
+  let expanded = [];
+
+  for (let terms of alternatives)
+  {
+    let combinations = [[]];
+
+    for (let term of terms)
+    {
+      let options = this.expandTerm(term);
+      let product = [];
+
+      for (let combination of combinations)
+      {
+        for (let option of options)
+          product.push(combination.concat(option));
+      }
+
+      if (product.length > alternativeLimit)
+        unsupported("regexp_too_complex");
+
+      combinations = product;
+    }
+
+    expanded.push(...combinations);
+  }
+
+  if (expanded.length > alternativeLimit)
+    unsupported("regexp_too_complex");
+
+  return expanded;
+};
+
+RegExpParser.prototype.expandTerm = function(term)
+{
+  if (term.anchor)
+    return [[term.anchor]];
+
+  let {atom, min, max} = term;
+  let source = atom.source;
+
+  if (atom.alternatives)
+  {
+    let expanded = this.expandAlternatives(atom.alternatives);
+
+    // Groups which aren't quantified are simply inlined, alternatives and all.
+    if (min == 1 && max == 1)
+      return expanded;
+
+    for (let tokens of expanded)
+    {
+      if (tokens.some(token => typeof token != "string"))
+        unsupported("regexp_anchor");
+    }
+
+    source = expanded.length == 1 ? "(" + expanded[0].join("") + ")" :
+             this.mergeAlternatives(expanded);
+  }
+
+  return [[this.repeat(source, min, max)]];
+};
+
+/**
+ * Merge quantified alternatives of single characters into a set, e.g.
+ * "(a|b|[0-9])+" into "[ab0-9]+"
+ *
+ * @param {Array.<Array.<string>>} alternatives
+ * @returns {string}
+ */
+RegExpParser.prototype.mergeAlternatives = function(alternatives)
+{
+  let items = [];
+
+  for (let tokens of alternatives)
+  {
+    let source = tokens.join("");
+    let match = /^(?:\\?[^\\[\]]|\[([^^](?:[^\\\]]|\\.)*)\])$/.exec(source);
+    if (tokens.length != 1 || !match || source == ".")
+      unsupported("regexp_alternation");
+
+    if (match[1])
+      items.push(match[1]);
+    else
+      items.push(escapeSetCharacter(source[source.length - 1]));
+  }
+
+  return "[" + items.join("") + "]";
+};
+
+RegExpParser.prototype.repeat = function(source, min, max)
+{
+  if (min > repetitionLimit || (max > repetitionLimit && max != Infinity))
+  {
+    this.reasons.add("regexp_repetition");
+    min = Math.min(min, repetitionLimit);
+    max = Infinity;
+  }
+
+  if (max == Infinity)
+  {
+    if (min == 0)
+      return source + "*";
+    return source.repeat(min - 1) + source + "+";
+  }
+
+  return source.repeat(min) + (source + "?").repeat(max - min);
+};
+
+/**
+ * Translate a JavaScript regular expression to the subset of the syntax
+ * supported by WebKit in "url-filter".
+ *
+ * @param {string} source The source of the regular expression, without
+ *                        slashes and flags
+ * @returns {object} An object with the resulting regular expressions, all of
+ *                   which have to be matched instead of the original one, and
+ *                   the reasons why it could only be translated approximately
+ *                   or not at all. If it can't be translated, there are no
+ *                   regular expressions:
+ *                     {regexps: ["..."], reasons: ["..."]}
+ */
+exports.translateRegExp = function(source)
+{
+  let parser = new RegExpParser(source);
+
+  try
+  {
+    let alternatives = parser.parseDisjunction();
+    if (parser.index < source.length)
+      unsupported("regexp_syntax");
+
+    let regexps = parser.expandAlternatives(alternatives).map(tokens =>
+      tokens.map((token, index) =>
+      {
+        if (token == startAnchor && index == 0)
+          return "^";
+        if (token == endAnchor && index == tokens.length - 1)
+          return "$";
+        if (typeof token != "string")
+          unsupported("regexp_anchor");
+        return token;
+      }).join("")
+    );
+
+    return {regexps: Array.from(new Set(regexps)),
+            reasons: Array.from(parser.reasons)};
+  }
+  catch (e)
+  {
+    if (!e.reason)
+      throw e;
+
+    return {regexps: [], reasons: [e.reason]};
+  }
+};
@@ -0,0 +1,161 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module report */
+
+"use strict";
+
+// A filter's status can only ever get worse, e.g. a filter that has been
+// dropped can't become approximated again because another part of it could
+// be converted.
+const statusOrder = ["converted", "approximated", "dropped"];
+
+let ConversionReport =
+/**
+ * Create a new report, recording for each filter whether it was converted
+ * exactly, approximated or dropped, along with the reasons why
+ *
+ * @constructor
+ */
+exports.ConversionReport = function()
+{
+  this.entries = new Map();
+  this.strategies = new Map();
+};
+
+/**
+ * Record the status of a filter, along with an optional reason code
+ *
+ * @param {Filter} filter
+ * @param {string} status "converted", "approximated" or "dropped"
+ * @param {string} [reason]
+ */
+ConversionReport.prototype.record = function(filter, status, reason)
+{
+  let entry = this.entries.get(filter);
+  if (!entry)
+  {
+    entry = {status: "converted", reasons: new Set()};
+    this.entries.set(filter, entry);
+  }
+
+  if (statusOrder.indexOf(status) > statusOrder.indexOf(entry.status))
+    entry.status = status;
+
+  if (reason)
+    entry.reasons.add(reason);
+};
+
+/**
+ * Record that a filter has been accepted for conversion
+ *
+ * @param {Filter} filter
+ */
+ConversionReport.prototype.converted = function(filter)
+{
+  this.record(filter, "converted");
+};
+
+/**
+ * Record that a filter has been converted, but that the generated rules do
+ * not behave exactly like the filter does in Adblock Plus
+ *
+ * @param {Filter} filter
+ * @param {string} reason Reason code, e.g. "subdocument_not_blocked"
+ */
+ConversionReport.prototype.approximated = function(filter, reason)
+{
+  this.record(filter, "approximated", reason);
+};
+
+/**
+ * Record that a filter could not be converted at all
+ *
+ * @param {Filter} filter
+ * @param {string} reason Reason code, e.g. "sitekey"
+ */
+ConversionReport.prototype.dropped = function(filter, reason)
+{
+  this.record(filter, "dropped", reason);
+};
+
+/**
+ * Record which strategy was used for converting some kind of filters, along
+ * with the size of the rules each of the possible strategies results in
+ *
+ * @param {string} name What the strategy is for, e.g. "genericblock"
+ * @param {string} strategy The strategy used
+ * @param {object} sizes The size of the rules in bytes per strategy
+ */
+ConversionReport.prototype.strategy = function(name, strategy, sizes)
+{
+  this.strategies.set(name, {strategy, sizes});
+};
+
+/**
+ * Get the recorded status of a filter
+ *
+ * @param {Filter} filter
+ *
+ * @returns {?string} "converted", "approximated", "dropped" or null if
+ *                    nothing has been recorded for the filter
+ */
+ConversionReport.prototype.getStatus = function(filter)
+{
+  let entry = this.entries.get(filter);
+  return entry ? entry.status : null;
+};
+
+/**
+ * Generate a machine-readable version of the report
+ *
+ * @returns {object} An object with a summary of the number of filters per
+ *                   status, and an entry for every filter, as well as the
+ *                   strategies if any have been recorded:
+ *                     {summary: {converted: 0, approximated: 0, dropped: 0},
+ *                      filters: [{filter: "...",
+ *                                 status: "...",
+ *                                 reasons: ["..."]}],
+ *                      strategies: {genericblock: {strategy: "...",
+ *                                                  sizes: {...}}}}
+ */
+ConversionReport.prototype.toJSON = function()
+{
+  let summary = {};
+  for (let status of statusOrder)
+    summary[status] = 0;
+
+  let filters = [];
+  for (let [filter, entry] of this.entries)
+  {
+    summary[entry.status]++;
+    filters.push({filter: filter.text,
+                  status: entry.status,
+                  reasons: Array.from(entry.reasons)});
+  }
+
+  let result = {summary, filters};
+
+  if (this.strategies.size > 0)
+  {
+    result.strategies = {};
+    for (let [name, strategy] of this.strategies)
+      result.strategies[name] = strategy;
+  }
+
+  return result;
+};
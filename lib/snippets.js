@@ -0,0 +1,110 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module snippets */
+
+"use strict";
+
+/**
+ * Parse the script of a snippet filter into the snippets it calls, the same
+ * way Adblock Plus does. Snippets are separated by semicolons and their
+ * arguments by whitespace, unless quoted with single quotes or escaped with a
+ * backslash, e.g. "log 'Hello world'; hide-if-contains \; div" calls "log"
+ * with "Hello world" and "hide-if-contains" with ";" and "div".
+ *
+ * @param {string} script
+ * @returns {Array.<string[]>} The snippets, each consisting of its name
+ *                             followed by its arguments
+ */
+exports.parseScript = function(script)
+{
+  let tree = [];
+
+  let escape = false;
+  let withinQuotes = false;
+  let unicodeEscape = null;
+  let quotesClosed = false;
+
+  let call = [];
+  let argument = "";
+
+  for (let character of script.trim() + ";")
+  {
+    let afterQuotesClosed = quotesClosed;
+    quotesClosed = false;
+
+    if (unicodeEscape != null)
+    {
+      unicodeEscape += character;
+
+      if (unicodeEscape.length == 4)
+      {
+        let codePoint = parseInt(unicodeEscape, 16);
+        if (!isNaN(codePoint))
+          argument += String.fromCodePoint(codePoint);
+
+        unicodeEscape = null;
+      }
+    }
+    else if (escape)
+    {
+      escape = false;
+
+      if (character == "u")
+        unicodeEscape = "";
+      else if (character == "n")
+        argument += "\n";
+      else if (character == "r")
+        argument += "\r";
+      else if (character == "t")
+        argument += "\t";
+      else
+        argument += character;
+    }
+    else if (character == "\\")
+    {
+      escape = true;
+    }
+    else if (character == "'")
+    {
+      withinQuotes = !withinQuotes;
+
+      if (!withinQuotes)
+        quotesClosed = true;
+    }
+    else if (withinQuotes || (character != ";" && !/\s/.test(character)))
+    {
+      argument += character;
+    }
+    else
+    {
+      // An empty argument is only added if it was quoted, e.g. "log ''".
+      if (argument || afterQuotesClosed)
+        call.push(argument);
+
+      argument = "";
+
+      if (character == ";" && call.length > 0)
+      {
+        tree.push(call);
+        call = [];
+      }
+    }
+  }
+
+  return tree;
+};
@@ -18,7 +18,8 @@
 "use strict";
 
 let {Filter} = require("../adblockpluscore/lib/filterClasses");
-let {ContentBlockerList} = require("../lib/abp2blocklist.js");
+let {ContentBlockerList, splitRules} = require("../lib/abp2blocklist.js");
+let {ContentBlockerEmulator} = require("../lib/emulator.js");
 
 function runTest(test, assertions)
 {
@@ -43,6 +44,36 @@ function testRules(test, filters, expected, transformFunction, options)
   });
 }
 
+function testRequests(test, filters, requests, options)
+{
+  let blockerList = new ContentBlockerList(options);
+  for (let filter of filters)
+    blockerList.addFilter(Filter.fromText(filter));
+
+  return blockerList.generateRules().then(rules =>
+  {
+    let emulator = new ContentBlockerEmulator(rules);
+    test.deepEqual(requests.map(([request]) => emulator.evaluate(request)),
+                   requests.map(([request, expected]) => expected));
+  });
+}
+
+function testMatchingRules(test, filters, requests, options)
+{
+  let blockerList = new ContentBlockerList(options);
+  for (let filter of filters)
+    blockerList.addFilter(Filter.fromText(filter));
+
+  return blockerList.generateRules().then(rules =>
+  {
+    let emulator = new ContentBlockerEmulator(rules);
+    test.deepEqual(
+      requests.map(([request]) => emulator.getMatchingRules(request)),
+      requests.map(([request, expected]) => expected)
+    );
+  });
+}
+
 exports.generateRules = {
   testElementHiding: function(test)
   {
@@ -81,12 +112,205 @@ exports.generateRules = {
       testRules(test, ["test.com#@#whatever"], []),
       testRules(test, ["~test.com#@#whatever"], []),
 
-      // We currently completely ignore any element hiding filters that have the
-      // same selector as an element hiding exception. In these examples
-      // #whatever should be hidden for all domains not ending in test.com
-      // instead of nowhere!
-      testRules(test, ["test.com#@#whatever", "##whatever"], []),
-      testRules(test, ["~test.com##whatever"], [])
+      // Element hiding exceptions for specific domains exclude those domains
+      // from the rules for the same selector.
+      testRules(test, ["test.com#@#.whatever", "##.whatever", "##.foo"], [
+        ["^https?://", ".whatever", ["*test.com"]],
+        ["^https?://", ".foo", undefined]
+      ], rules => rules.map(rule => [rule.trigger["url-filter"],
+                                     rule.action.selector,
+                                     rule.trigger["unless-domain"]])),
+      testRules(test, ["a.test.com,b.test.com#@#.whatever",
+                       "a.test.com#@#.foo",
+                       "test.com,a.test.com,other.com##.whatever",
+                       "test.com,b.test.com##.foo",
+                       "test.com##.bar",
+                       "@@||c.test.com^$elemhide"], [
+        ["^https?://([^/:]*\\.)?test\\.com[/:]", ".whatever",
+         ["*c.test.com", "*a.test.com", "*b.test.com"]],
+        ["^https?://([^/:]*\\.)?other\\.com[/:]", ".whatever", undefined],
+        ["^https?://([^/:]*\\.)?test\\.com[/:]", ".foo",
+         ["*c.test.com", "*a.test.com"]],
+        ["^https?://([^/:]*\\.)?b\\.test\\.com[/:]", ".foo", undefined],
+        ["^https?://([^/:]*\\.)?test\\.com[/:]", ".bar",
+         ["*c.test.com"]]
+      ], rules => rules.map(rule => [rule.trigger["url-filter"],
+                                     rule.action.selector,
+                                     rule.trigger["unless-domain"]]),
+      {merge: "none"}),
+
+      // Exceptions that apply to all domains, or all domains except some,
+      // disable the element hiding filters with the same selector entirely.
+      testRules(test, ["#@#.whatever", "test.com#@#.whatever", "##.whatever"],
+                []),
+      testRules(test, ["~test.com#@#.whatever", "test.com##.whatever"], [])
+    ]);
+  },
+
+  testElementHidingURLExceptions: function(test)
+  {
+    let transformFunction = rules => rules.map(
+      rule => [rule.trigger["url-filter"], rule.trigger["unless-domain"],
+               rule.trigger["unless-top-url"]]
+    );
+
+    runTest(test, [
+      // Without support for "unless-top-url", only the hostname can be used.
+      testRules(test, ["##.ad", "test.com##.foo",
+                       "@@||test.com/forum/*$elemhide",
+                       "@@|https://other.com/app$generichide",
+                       "@@/path/*$elemhide"], [
+        ["^https?://", ["*other.com", "*test.com"], undefined]
+      ], transformFunction),
+
+      testRules(test, ["##.ad", "test.com##.foo", "other.com##.bar",
+                       "@@||test.com/forum/*$elemhide",
+                       "@@|https://other.com/app$generichide",
+                       "@@||example.com^$generichide"], [
+        ["^https?://", undefined,
+         ["^https?://([^/:]*\\.)?example\\.com[/:]",
+          "^https?://([^/]+\\.)?test\\.com/forum/",
+          "^https://other\\.com/app"]],
+        ["^https?://([^/:]*\\.)?test\\.com[/:]", undefined,
+         ["^https?://([^/]+\\.)?test\\.com/forum/"]],
+        ["^https?://([^/:]*\\.)?other\\.com[/:]", undefined, undefined]
+      ], transformFunction, {target: "safari-11"}),
+
+      testRequests(test, ["##.ad", "example.com##.foo",
+                          "@@||example.com/forum/*$elemhide",
+                          "@@/app/*$generichide"], [
+        [{url: "https://example.com/", type: "document"},
+         {action: null, selectors: [".ad", ".foo"]}],
+        [{url: "https://www.example.com/forum/", type: "document"},
+         {action: null, selectors: []}],
+        [{url: "https://example.com/app/", type: "document"},
+         {action: null, selectors: [".foo"]}]
+      ], {target: "safari-11"})
+    ]);
+  },
+
+  testElementHidingExceptionRules: function(test)
+  {
+    let filters = ["##.ad", "example.com##.foo",
+                   "@@||example.com/forum/*$elemhide",
+                   "@@||example.net^$generichide",
+                   "@@||frame.com^$elemhide"];
+
+    runTest(test, [
+      // Without WebKit bug #167423, exceptions are added as exception rules
+      // after the element hiding rules they apply to.
+      testRules(test, filters, [
+        ["css-display-none", "^https?://", null],
+        ["ignore-previous-rules", ".*", ["*example.net"]],
+        ["ignore-previous-rules",
+         "^https?://([^/]+\\.)?example\\.net([^-_.%a-z0-9].*)?$", null],
+        ["css-display-none", "^https?://([^/:]*\\.)?example\\.com[/:]", null],
+        ["ignore-previous-rules", ".*",
+         ["^https?://([^/]+\\.)?example\\.com/forum/"]],
+        ["ignore-previous-rules", "^https?://([^/]+\\.)?example\\.com/forum/",
+         null],
+        ["ignore-previous-rules", ".*", ["*frame.com"]],
+        ["ignore-previous-rules",
+         "^https?://([^/]+\\.)?frame\\.com([^-_.%a-z0-9].*)?$", null]
+      ], rules => rules.map(rule => [rule.action.type,
+                                     rule.trigger["url-filter"],
+                                     rule.trigger["if-domain"] ||
+                                     rule.trigger["if-top-url"] || null]),
+      {target: "safari-15", merge: "none"}),
+
+      testRequests(test, filters, [
+        [{url: "https://example.com/", type: "document"},
+         {action: null, selectors: [".ad", ".foo"]}],
+        [{url: "https://example.com/forum/", type: "document"},
+         {action: null, selectors: []}],
+        [{url: "https://example.net/", type: "document"},
+         {action: null, selectors: []}],
+        [{url: "https://frame.com/", type: "document"},
+         {action: null, selectors: []}],
+        [{url: "https://frame.com/", type: "document",
+          topURL: "https://news.com/"}, {action: null, selectors: []}],
+        [{url: "https://news.com/", type: "document"},
+         {action: null, selectors: [".ad"]}]
+      ], {target: "safari-15"}),
+
+      // The exceptions apply to the requests made by the page as well, but not
+      // to requests for the same URLs made by other pages.
+      testMatchingRules(test, filters, [
+        [{url: "https://cdn.other.com/script.js", type: "script",
+          topURL: "https://example.com/forum/"}, []],
+        [{url: "https://example.com/forum/script.js", type: "script",
+          topURL: "https://news.com/"}, [0, 3]],
+        [{url: "https://cdn.other.com/script.js", type: "script",
+          topURL: "https://news.com/", frameURL: "https://frame.com/"}, [0]]
+      ], {target: "safari-15", merge: "none"}),
+
+      // If the target supports "if-frame-url", they apply to the requests made
+      // by matching iframes too.
+      testMatchingRules(test, filters, [
+        [{url: "https://cdn.other.com/script.js", type: "script",
+          topURL: "https://news.com/", frameURL: "https://frame.com/"}, []],
+        [{url: "https://cdn.other.com/script.js", type: "script",
+          topURL: "https://news.com/", frameURL: "https://other.com/"}, [0]]
+      ], {target: "safari-16.4", merge: "none"})
+    ]);
+  },
+
+  testElementHidingEmulation: function(test)
+  {
+    let transformFunction = rules => rules.map(
+      rule => [rule.trigger["url-filter"], rule.action.selector]
+    );
+
+    runTest(test, [
+      testRules(test, ["example.com#?#div:-abp-has(> .ad)",
+                       "example.com#?#.banner",
+                       "example.com#?#div:-abp-contains(Ad)"], [
+        ["^https?://([^/:]*\\.)?example\\.com[/:]", ".banner"]
+      ], transformFunction),
+      testRules(test, ["example.com#?#div:-abp-has(> .ad)",
+                       "example.com#?#.banner",
+                       "example.com#?#div:-abp-properties(width: 300px)",
+                       "example.com#@#div:-abp-has(> .ad)"], [
+        ["^https?://([^/:]*\\.)?example\\.com[/:]", ".banner"]
+      ], transformFunction, {target: "safari-15.4"}),
+      testRules(test, ["example.com#?#div:-abp-has(> .ad)",
+                       "example.com#?#.banner",
+                       "example.com#?#div:-abp-has(.x:-abp-has(.y))"], [
+        ["^https?://([^/:]*\\.)?example\\.com[/:]",
+         "div:has(> .ad), .banner, div:has(.x:has(.y))"]
+      ], transformFunction, {target: "safari-15.4"})
+    ]);
+  },
+
+  testElementHidingExcludedDomains: function(test)
+  {
+    runTest(test, [
+      testRules(test, ["~test.com##.whatever", "~test.com,~other.com##.foo"], [
+        ["^https?://", ".whatever", ["*test.com"]],
+        ["^https?://", ".foo", ["*other.com", "*test.com"]]
+      ], rules => rules.map(rule => [rule.trigger["url-filter"],
+                                     rule.action.selector,
+                                     rule.trigger["unless-domain"]])),
+      testRules(test, ["test.com,~forum.test.com##.banner",
+                       "test.com,~forum.test.com,~other.com##.ad",
+                       "test.com,~test.com##.foo",
+                       "~test.com##.bar",
+                       "@@||www.test.com^$elemhide"], [
+        ["^https?://", ".foo, .bar", ["*www.test.com", "*test.com"]],
+        ["^https?://([^/:]*\\.)?test\\.com[/:]", ".banner, .ad",
+         ["*www.test.com", "*forum.test.com"]]
+      ], rules => rules.map(rule => [rule.trigger["url-filter"],
+                                     rule.action.selector,
+                                     rule.trigger["unless-domain"]])),
+      testRequests(test, ["example.com,~forum.example.com##.banner",
+                          "~example.com##.ad"], [
+        [{url: "https://www.example.com/", type: "document"},
+         {action: null, selectors: [".banner"]}],
+        [{url: "https://forum.example.com/", type: "document"},
+         {action: null, selectors: []}],
+        [{url: "https://example.org/", type: "document"},
+         {action: null, selectors: [".ad"]}]
+      ])
     ]);
   },
 
@@ -232,7 +456,71 @@ exports.generateRules = {
           },
           action: {type: "ignore-previous-rules"}
         }
-      ])
+      ]),
+
+      // With support for "if-top-url", the requests made by documents with
+      // a path can be whitelisted as well.
+      testRules(test, ["@@||example.com/checkout^$document"], [
+        {
+          trigger: {
+            "url-filter": ".*",
+            "if-top-url": [
+              "^https?://([^/]+\\.)?example\\.com/checkout" +
+              "([^-_.%A-Za-z0-9].*)?$"
+            ]
+          },
+          action: {type: "ignore-previous-rules"}
+        }
+      ], null, {target: "safari-11"}),
+      testRules(test, ["@@/login/*$document,image",
+                       "@@|https://example.com/Cart$document,match-case"], [
+        {
+          trigger: {
+            "url-filter": ".*",
+            "if-top-url": ["^https?://.*/login/"]
+          },
+          action: {type: "ignore-previous-rules"}
+        },
+        {
+          trigger: {
+            "url-filter": "^https?://.*/login/",
+            "resource-type": ["image"]
+          },
+          action: {type: "ignore-previous-rules"}
+        },
+        {
+          trigger: {
+            "url-filter": ".*",
+            "if-top-url": ["^https://example\\.com/Cart"],
+            "top-url-filter-is-case-sensitive": true
+          },
+          action: {type: "ignore-previous-rules"}
+        }
+      ], null, {target: "safari-11", merge: "none"}),
+      testRequests(test, ["||ads.com^", "@@||example.com/checkout^$document"],
+      [
+        [{url: "https://ads.com/ad.js", type: "script",
+          topURL: "https://example.com/checkout/"},
+         {action: null, selectors: []}],
+        [{url: "https://ads.com/ad.js", type: "script",
+          topURL: "https://example.com/"},
+         {action: "block", selectors: []}]
+      ], {target: "safari-11"}),
+
+      // "if-domain" and "if-top-url" can't be combined with the $domain and
+      // $third-party options, so those exceptions don't apply to the requests
+      // made by the document.
+      testRequests(test, ["||ads.com^",
+                          "@@||example.com/checkout^$document,domain=a.com",
+                          "@@||example.org^$document,third-party"],
+      [
+        [{url: "https://ads.com/ad.js", type: "script",
+          topURL: "https://example.com/checkout/"},
+         {action: "block", selectors: []}],
+        [{url: "https://ads.com/ad.js", type: "script",
+          topURL: "https://example.org/"},
+         {action: "block", selectors: []}]
+      ], {target: "safari-11"})
     ]);
   },
 
@@ -252,7 +540,79 @@ exports.generateRules = {
                        "@@||example.com^$genericblock"],
                 [[undefined, ["*test.com", "*example.com"]]],
                 rules => rules.map(rule => [rule.trigger["if-domain"],
-                                            rule.trigger["unless-domain"]]))
+                                            rule.trigger["unless-domain"]])),
+
+      // Exceptions for URLs with a path only exclude their hostname, unless
+      // the target supports "unless-top-url".
+      testRules(test, ["^ad.jpg|", "@@||example.com/forum/$genericblock"],
+                [[["*example.com"], undefined]],
+                rules => rules.map(rule => [rule.trigger["unless-domain"],
+                                            rule.trigger["unless-top-url"]])),
+      testRules(test, ["^ad.jpg|$domain=~test.com", "||ads.com^$image",
+                       "^ad.jpg|$domain=example.com",
+                       "@@||example.com^$genericblock",
+                       "@@||example.com/forum/$genericblock"], [
+        [undefined, ["^[^:]+:(//)?(.*[^-_.%A-Za-z0-9])?ad\\.jpg$",
+                     "^https?://([^/:]*\\.)?test\\.com[/:]",
+                     "^https?://([^/:]*\\.)?example\\.com[/:]",
+                     "^https?://([^/]+\\.)?example\\.com/forum/"]],
+        [undefined, ["^https?://([^/:]*\\.)?example\\.com[/:]",
+                     "^https?://([^/]+\\.)?example\\.com/forum/"]],
+        [["*example.com"], undefined]
+      ], rules => rules.map(rule => [rule.trigger["if-domain"],
+                                     rule.trigger["unless-top-url"]]),
+      {target: "safari-11", merge: "none"}),
+      testRequests(test, ["/ad.jpg",
+                          "@@|https://example.com/forum/$genericblock"], [
+        [{url: "https://ads.com/ad.jpg", type: "image",
+          topURL: "https://example.com/forum/"}, {action: null, selectors: []}],
+        [{url: "https://ads.com/ad.jpg", type: "image",
+          topURL: "https://example.com/"}, {action: "block", selectors: []}]
+      ], {target: "safari-11"})
+    ]);
+  },
+
+  testGenericblockExceptionRules: function(test)
+  {
+    let filters = ["^ad.jpg|", "^ad.jpg|$domain=test.com", "##.ad",
+                   "@@||example.com^$genericblock",
+                   "@@||example.org/forum/$genericblock"];
+
+    runTest(test, [
+      testRules(test, filters, [
+        ["css-display-none", ".*", undefined, undefined],
+        ["block", "^[^:]+:(//)?(.*[^-_.%A-Za-z0-9])?ad\\.jpg$", undefined,
+         undefined],
+        ["ignore-previous-rules", ".*", ["*example.com", "*example.org"],
+         undefined],
+        ["block", "^[^:]+:(//)?(.*[^-_.%A-Za-z0-9])?ad\\.jpg$", ["*test.com"],
+         undefined]
+      ], rules => rules.map(rule => [rule.action.type,
+                                     rule.action.type == "css-display-none" ?
+                                       ".*" : rule.trigger["url-filter"],
+                                     rule.trigger["if-domain"],
+                                     rule.trigger["unless-domain"]]),
+      {genericblock: "exception-rules"}),
+
+      testRules(test, filters, [{
+        "url-filter": ".*",
+        "resource-type": ["image", "style-sheet", "script", "font", "media",
+                          "popup", "raw"],
+        "if-top-url": ["^https?://([^/]+\\.)?example\\.org/forum/"]
+      }], rules => rules.filter(rule => rule.trigger["if-top-url"])
+                        .map(rule => rule.trigger),
+      {genericblock: "exception-rules", target: "safari-11"}),
+
+      testRequests(test, filters, [
+        [{url: "https://ads.com/ad.jpg", type: "image",
+          topURL: "https://www.example.com/"}, {action: null, selectors: []}],
+        [{url: "https://example.com/", type: "document"},
+         {action: null, selectors: [".ad"]}],
+        [{url: "https://ads.com/ad.jpg", type: "image",
+          topURL: "https://test.com/"}, {action: "block", selectors: []}],
+        [{url: "https://ads.com/ad.jpg", type: "image",
+          topURL: "https://news.com/"}, {action: "block", selectors: []}]
+      ], {genericblock: "exception-rules"})
     ]);
   },
 
@@ -312,9 +672,77 @@ exports.generateRules = {
     runTest(test, [
       // These types of filters are currently completely unsupported.
       testRules(test, ["foo$sitekey=bar"], []),
-      // We skip filters which contain Unicode characters these days.
-      testRules(test, ["$domain=🐈.cat", "||🐈", "🐈$domain=🐈.cat",
-                       "🐈%F0%9F%90%88$domain=🐈.cat", "###🐈"], [])
+      // Hostnames which can't be converted to punycode.
+      testRules(test, ["foo$domain=xn--🐈.cat", "||xn--🐈.cat^",
+                       "xn--🐈.cat##.foo"], [])
+    ]);
+  },
+
+  testInternationalizedFilters: function(test)
+  {
+    runTest(test, [
+      testRules(test, ["||münchen.de^"], [
+        "^[^:]+:(//)?([^/]+\\.)?xn--mnchen-3ya\\.de([^-_.%a-z0-9].*)?$"
+      ], rules => rules.map(rule => rule.trigger["url-filter"])),
+      testRules(test, ["foo$domain=пример.рф|~a.пример.рф",
+                       "пример.рф##.ad"], [
+        "^https?://([^/:]*\\.)?xn--e1afmkfd\\.xn--p1ai[/:]",
+        ["xn--e1afmkfd.xn--p1ai", "www.xn--e1afmkfd.xn--p1ai"]
+      ], rules => rules.map(rule => rule.trigger["if-domain"] ||
+                                    rule.trigger["url-filter"])),
+      testRules(test, ["||example.com/straße", "/🐈$domain=🐈.cat",
+                       "||🐈.cat/🐈"], [
+        ["^[^:]+:(//)?([^/]+\\.)?example\\.com/stra%C3%9Fe", undefined],
+        ["^[^:]+:(//)?.*/%F0%9F%90%88", ["*xn--zn8h.cat"]],
+        ["^[^:]+:(//)?([^/]+\\.)?xn--zn8h\\.cat/%F0%9F%90%88", undefined]
+      ], rules => rules.map(rule => [rule.trigger["url-filter"],
+                                     rule.trigger["if-domain"]])),
+      testRules(test, ["###🐈"], [
+        {trigger: {"url-filter": "^https?://",
+                   "url-filter-is-case-sensitive": true},
+         action: {type: "css-display-none", selector: "[id=🐈]"}}
+      ])
+    ]);
+  },
+
+  testRegExpFilters: function(test)
+  {
+    runTest(test, [
+      testRules(test, ["/banner\\d+\\.gif/$image", "/^https?:\\/\\/ad\\./",
+                       "@@/ads\\.(com|net)\\//$script,match-case"], [
+        {
+          trigger: {
+            "url-filter": "^https?://.*banner[0-9]+\\.gif",
+            "resource-type": ["image"]
+          },
+          action: {type: "block"}
+        },
+        {
+          trigger: {
+            "url-filter": "^https?://ad\\.",
+            "resource-type": ["image", "style-sheet", "script", "font",
+                              "media", "raw"]
+          },
+          action: {type: "block"}
+        },
+        {
+          trigger: {
+            "url-filter": "^https?://.*ads\\.com/",
+            "url-filter-is-case-sensitive": true,
+            "resource-type": ["script"]
+          },
+          action: {type: "ignore-previous-rules"}
+        },
+        {
+          trigger: {
+            "url-filter": "^https?://.*ads\\.net/",
+            "url-filter-is-case-sensitive": true,
+            "resource-type": ["script"]
+          },
+          action: {type: "ignore-previous-rules"}
+        }
+      ]),
+      testRules(test, ["/(?!ad)s/", "/\\bads\\b/", "/(ad|banner)+/"], [])
     ]);
   },
 
@@ -489,5 +917,611 @@ exports.generateRules = {
                 rules => rules.map(rule => rule.trigger["url-filter"]),
                 {merge: "all"})
     ]);
+  },
+
+  testBehaviour: function(test)
+  {
+    let blocked = {action: "block", selectors: []};
+    let allowed = {action: null, selectors: []};
+
+    runTest(test, [
+      testRequests(test, [
+        "||ads.com^", "@@||ads.com/ok/$image", "@@||example.com^$document",
+        "/banner.", "##.ad", "example.org##.ad2", "@@||example.net^$elemhide"
+      ], [
+        [{url: "https://ads.com/x.js", type: "script",
+          topURL: "https://news.com/"}, blocked],
+        [{url: "https://ads.com/ok/x.png", type: "image",
+          topURL: "https://news.com/"}, allowed],
+        [{url: "https://ads.com/x.js", type: "script",
+          topURL: "https://example.com/"}, allowed],
+        [{url: "https://ads.com/", type: "document"},
+         {action: null, selectors: [".ad"]}],
+        [{url: "https://news.com/banner.gif", type: "image"}, blocked],
+        [{url: "https://news.com/", type: "document"},
+         {action: null, selectors: [".ad"]}],
+        [{url: "https://www.example.org/", type: "document"},
+         {action: null, selectors: [".ad", ".ad2"]}],
+        [{url: "https://example.net/", type: "document"}, allowed]
+      ]),
+      testRequests(test, ["||ads.com^$subdocument"], [
+        [{url: "https://ads.com/", type: "document",
+          topURL: "https://news.com/"}, blocked],
+        [{url: "https://ads.com/", type: "document"}, allowed]
+      ], {target: "safari-15"}),
+      testRequests(test, ["##.ad", "##.ad2", "example.com#@#.ad"], [
+        [{url: "https://news.com/", type: "document"},
+         {action: null, selectors: [".ad", ".ad2"]}],
+        [{url: "https://www.example.com/", type: "document"},
+         {action: null, selectors: [".ad2"]}]
+      ])
+    ]);
+  },
+
+  testUnknownOptions: function(test)
+  {
+    test.throws(() => new ContentBlockerList({target: "safari-9"}));
+    test.throws(() => new ContentBlockerList({genericblock: "unknown"}));
+    test.throws(() => new ContentBlockerList({format: "unknown"}));
+    test.done();
+  },
+
+  testTargets: function(test)
+  {
+    runTest(test, [
+      // Safari 11 supports "unless-top-url", so we can use it for rules
+      // without a hostname and merge excluded domains into it.
+      testRules(test, ["/foo", "||example.com^$domain=~foo.com"], [
+        ["^[^:]+:(//)?.*/foo"],
+        ["^[^:]+:(//)?([^/]+\\.)?example\\.com([^-_.%a-z0-9].*)?$",
+         "^https?://([^/:]*\\.)?foo\\.com[/:]"]
+      ], rules => rules.map(rule => rule.trigger["unless-top-url"]),
+      {target: "safari-11"}),
+      testRules(test, ["/foo$domain=foo.com"], [
+        [["image", "style-sheet", "script", "font", "media", "raw"],
+         undefined]
+      ], rules => rules.map(rule => [rule.trigger["resource-type"],
+                                     rule.trigger["unless-top-url"]]),
+      {target: "safari-11"}),
+
+      // With "load-context", sub-document requests get their own rule.
+      testRules(test, ["/foo", "||example.com^$subdocument"], [
+        {trigger: {"url-filter": "^https?://.*/foo",
+                   "load-context": ["child-frame"],
+                   "resource-type": ["document"]},
+         action: {type: "block"}},
+        {trigger: {"url-filter": "^[^:]+:(//)?.*/foo",
+                   "resource-type": ["image", "style-sheet", "script",
+                                     "font", "media", "raw"]},
+         action: {type: "block"}},
+        {trigger: {"url-filter":
+                     "^https?://([^/]+\\.)?example\\.com([^-_.%a-z0-9].*)?$",
+                   "url-filter-is-case-sensitive": true,
+                   "load-context": ["child-frame"],
+                   "resource-type": ["document"]},
+         action: {type: "block"}}
+      ], null, {target: "safari-15"}),
+
+      testRules(test, ["1$xmlhttprequest", "2$websocket", "3$ping",
+                       "4$other,object-subrequest", "5$image,xmlhttprequest"],
+                [["fetch"], ["websocket"], ["ping"], ["other"],
+                 ["image", "fetch"]],
+                rules => rules.map(rule => rule.trigger["resource-type"]),
+                {target: "safari-16.4"}),
+
+      // The :has() selector is only supported from Safari 15.4 onwards.
+      testRules(test, ["##.foo", "##div:has(.ad)"], [".foo"],
+                rules => rules.map(rule => rule.action.selector)),
+      testRules(test, ["##.foo", "##div:has(.ad)"], [".foo, div:has(.ad)"],
+                rules => rules.map(rule => rule.action.selector),
+                {target: "safari-15.4"})
+    ]);
+  },
+
+  testSourceMap: function(test)
+  {
+    function testSourceMap(filters, expected, transformFunction, options)
+    {
+      let blockerList = new ContentBlockerList(
+        Object.assign({sourceMap: true}, options)
+      );
+      filters.forEach((filter, index) =>
+      {
+        blockerList.addFilter(Filter.fromText(filter), {line: index + 1});
+      });
+
+      return blockerList.generateRules().then(rules =>
+      {
+        let sourceMap = blockerList.sourceMap;
+        if (transformFunction)
+          sourceMap = transformFunction(sourceMap);
+
+        test.deepEqual(sourceMap, expected);
+      });
+    }
+
+    let manySelectors = [];
+    for (let i = 0; i < 5001; i++)
+      manySelectors.push("##.ad" + i);
+
+    runTest(test, [
+      testSourceMap(["foo$webrtc", "##.bar", "##.baz", "@@||example.com^"], [
+        [{filter: "##.bar", line: 2}, {filter: "##.baz", line: 3}],
+        [{filter: "foo$webrtc", line: 1}],
+        [{filter: "foo$webrtc", line: 1}],
+        [{filter: "@@||example.com^", line: 4}]
+      ]),
+
+      // Merged rules keep track of all the filters they were merged from.
+      testSourceMap(["/ads", "/adv", "/ad", "foo$image", "foo$script"], [
+        [{filter: "/ad", line: 3},
+         {filter: "/ads", line: 1},
+         {filter: "/adv", line: 2}],
+        [{filter: "foo$image", line: 4}, {filter: "foo$script", line: 5}]
+      ], null, {merge: "all"}),
+
+      // Filters that appear more than once refer to every line.
+      testSourceMap(["##.ad", "##.ad"], [
+        [{filter: "##.ad", line: 1}, {filter: "##.ad", line: 2}]
+      ]),
+
+      // Filters are only converted once, even if they occur in several lists.
+      testSourceMap(["||example.com^", "||example.com^"], [
+        [{filter: "||example.com^", line: 1},
+         {filter: "||example.com^", line: 2}]
+      ], null, {merge: "none"}),
+
+      // Element hiding rules are split up after 5000 selectors.
+      testSourceMap(manySelectors, [5000, [{filter: "##.ad5000", line: 5001}]],
+                    sourceMap => [sourceMap[0].length, sourceMap[1]])
+    ]);
+  }
+};
+
+exports.generateDNRRules = {
+  testDNRRules: function(test)
+  {
+    let blockerList = new ContentBlockerList({format: "dnr", sourceMap: true});
+    for (let [text, line] of [["||example.com^", 1],
+                              ["/ads/*$domain=example.org", 2],
+                              ["@@||example.net/app/$genericblock", 3],
+                              ["@@||example.org^$document", 4],
+                              ["##.ad", 5], ["@@||example.org^$elemhide", 6],
+                              ["||example.com^", 7]])
+      blockerList.addFilter(Filter.fromText(text), {line});
+
+    blockerList.generateRules().then(rules =>
+    {
+      test.deepEqual(rules, [
+        {id: 1, priority: 1, action: {type: "block"},
+         condition: {urlFilter: "||example.com^",
+                     excludedInitiatorDomains: ["example.net"]}},
+        {id: 2, priority: 1, action: {type: "block"},
+         condition: {urlFilter: "/ads/", initiatorDomains: ["example.org"]}},
+        {id: 3, priority: 2, action: {type: "allowAllRequests"},
+         condition: {urlFilter: "||example.org^",
+                     resourceTypes: ["main_frame", "sub_frame"]}}
+      ]);
+      test.deepEqual(blockerList.sourceMap, [
+        [{filter: "||example.com^", line: 1},
+         {filter: "||example.com^", line: 7}],
+        [{filter: "/ads/*$domain=example.org", line: 2}],
+        [{filter: "@@||example.org^$document", line: 4}]
+      ]);
+      test.deepEqual(blockerList.report.toJSON().filters.filter(
+        ({status}) => status != "converted"
+      ), [
+        {filter: "@@||example.net/app/$genericblock", status: "approximated",
+         reasons: ["genericblock_hostname_only"]},
+        {filter: "##.ad", status: "dropped",
+         reasons: ["elemhide_not_supported"]},
+        {filter: "@@||example.org^$elemhide", status: "dropped",
+         reasons: ["elemhide_not_supported"]}
+      ]);
+      test.done();
+    });
+  },
+
+  testRewrite: function(test)
+  {
+    let blockerList = new ContentBlockerList({format: "dnr"});
+    blockerList.addFilter(Filter.fromText(
+      "*$script,domain=example.com,rewrite=abp-resource:blank-js"
+    ));
+
+    blockerList.generateRules().then(rules =>
+    {
+      test.deepEqual(rules.map(rule => rule.action), [
+        {type: "redirect",
+         redirect: {extensionPath: "/resources/blank-js.js"}}
+      ]);
+      test.equal(blockerList.report.toJSON().summary.approximated, 0);
+      test.done();
+    });
+  },
+
+  testDNRRegExpFilters: function(test)
+  {
+    // Regular expressions are only checked for what "regexFilter" supports,
+    // not for what WebKit does.
+    let blockerList = new ContentBlockerList({format: "dnr"});
+    for (let text of ["/ad[0-9]+\\b/", "/(?!ad)s/"])
+      blockerList.addFilter(Filter.fromText(text));
+
+    blockerList.generateRules().then(rules =>
+    {
+      test.deepEqual(rules, [
+        {id: 1, priority: 1, action: {type: "block"},
+         condition: {regexFilter: "ad[0-9]+\\b"}}
+      ]);
+      test.deepEqual(blockerList.report.toJSON().filters, [
+        {filter: "/ad[0-9]+\\b/", status: "converted", reasons: []},
+        {filter: "/(?!ad)s/", status: "dropped",
+         reasons: ["regexp_lookaround"]}
+      ]);
+      test.done();
+    });
+  }};
+
+exports.generateHostsList = {
+  testHostsList: function(test)
+  {
+    let blockerList = new ContentBlockerList({format: "dnsmasq",
+                                              sourceMap: true});
+    for (let [text, line] of [["||example.com^", 1],
+                              ["||Ads.Example.com^", 2],
+                              ["||münchen.de^$match-case", 3],
+                              ["@@||ok.example.com^", 4],
+                              ["||example.org/ads^", 5], ["||example.org", 6],
+                              ["||example.org:8080^", 7],
+                              ["||example.net^$domain=example.com", 8],
+                              ["||example.net^$third-party", 9],
+                              ["||example.net^$script", 10],
+                              ["@@||example.com^$document", 11],
+                              ["##.ad", 12],
+                              ["@@||example.org^$elemhide", 13],
+                              ["@@||example.org^$genericblock", 14]])
+      blockerList.addFilter(Filter.fromText(text), {line});
+
+    blockerList.generateRules().then(lines =>
+    {
+      test.deepEqual(lines, ["address=/example.com/#",
+                             "address=/xn--mnchen-3ya.de/#",
+                             "server=/ok.example.com/#"]);
+      test.deepEqual(blockerList.sourceMap, [
+        [{filter: "||example.com^", line: 1},
+         {filter: "||Ads.Example.com^", line: 2}],
+        [{filter: "||münchen.de^$match-case", line: 3}],
+        [{filter: "@@||ok.example.com^", line: 4}]
+      ]);
+      test.deepEqual(blockerList.report.toJSON().filters.filter(
+        ({status}) => status != "converted"
+      ).map(({filter, reasons}) => [filter, reasons]), [
+        ["||example.org/ads^", ["not_hostname"]],
+        ["||example.org", ["not_hostname"]],
+        ["||example.org:8080^", ["not_hostname"]],
+        ["||example.net^$domain=example.com", ["domain_restricted"]],
+        ["||example.net^$third-party", ["third_party_restricted"]],
+        ["||example.net^$script", ["type_restricted"]],
+        ["@@||example.com^$document", ["type_restricted"]],
+        ["##.ad", ["elemhide_not_supported"]]
+      ]);
+      test.done();
+    });
+  },
+
+  testHostsFile: function(test)
+  {
+    let blockerList = new ContentBlockerList({format: "hosts"});
+    blockerList.addFilter(Filter.fromText("||example.com^"));
+
+    blockerList.generateRules().then(lines =>
+    {
+      test.deepEqual(lines, ["0.0.0.0 example.com"]);
+      test.deepEqual(blockerList.report.toJSON().filters, [
+        {filter: "||example.com^", status: "approximated",
+         reasons: ["subdomains_not_blocked"]}
+      ]);
+      test.done();
+    });
+  }
+};
+
+exports.generatePAC = {
+  testPAC: function(test)
+  {
+    let blockerList = new ContentBlockerList({format: "pac", sourceMap: true,
+                                              proxy: "0.0.0.0:1"});
+    for (let [text, line] of [["||example.com^", 1],
+                              ["||example.com/ads/", 2],
+                              ["/banner\\d+/$match-case", 3],
+                              ["@@||ok.example.com^", 4],
+                              ["||example.net^$script", 5],
+                              ["@@||example.com^$document", 6],
+                              ["##.ad", 7],
+                              ["@@||example.org^$elemhide", 8],
+                              ["@@||example.org^$genericblock", 9],
+                              ["/(ad|banner)\\1/", 10],
+                              ["/(?!ad)s\\b/", 11]])
+      blockerList.addFilter(Filter.fromText(text), {line});
+
+    blockerList.generateRules().then(lines =>
+    {
+      test.deepEqual(lines.slice(0, 19), [
+        "var proxy = \"PROXY 0.0.0.0:1\";",
+        "var blockedHosts = {",
+        "  \"example.com\": true",
+        "};",
+        "var allowedHosts = {",
+        "  \"ok.example.com\": true",
+        "};",
+        "var blockedURLs = [",
+        "  new RegExp([",
+        "    \"(?:^https?://([^/]+\\\\.)?example\\\\.com/ads/)\",",
+        "    \"(?:(?!ad)s\\\\b)\"",
+        "  ].join(\"|\"), \"i\"),",
+        "  new RegExp([",
+        "    \"(?:banner\\\\d+)\"",
+        "  ].join(\"|\"))",
+        "];",
+        "var allowedURLs = [",
+        "];",
+        ""
+      ]);
+      test.deepEqual(blockerList.sourceMap.slice(0, 14), [
+        [], [], [{filter: "||example.com^", line: 1}], [], [],
+        [{filter: "@@||ok.example.com^", line: 4}], [], [], [],
+        [{filter: "||example.com/ads/", line: 2}],
+        [{filter: "/(?!ad)s\\b/", line: 11}], [], [],
+        [{filter: "/banner\\d+/$match-case", line: 3}]
+      ]);
+      test.deepEqual(blockerList.report.toJSON().filters.filter(
+        ({status}) => status != "converted"
+      ).map(({filter, reasons}) => [filter, reasons]), [
+        ["||example.com/ads/", ["https_path_not_matched"]],
+        ["/banner\\d+/$match-case", ["https_path_not_matched"]],
+        ["||example.net^$script", ["type_restricted"]],
+        ["@@||example.com^$document", ["type_restricted"]],
+        ["##.ad", ["elemhide_not_supported"]],
+        ["/(ad|banner)\\1/", ["pac_backreference"]],
+        ["/(?!ad)s\\b/", ["https_path_not_matched"]]
+      ]);
+      test.done();
+    });
+  }
+};
+
+exports.splitRules = {
+  testSplitRules: function(test)
+  {
+    let block = name => ({trigger: {"url-filter": name},
+                          action: {type: "block"}});
+    let exception = name => ({trigger: {"url-filter": name},
+                              action: {type: "ignore-previous-rules"}});
+
+    let rules = [block("a"), block("b"), exception("x"), block("c"),
+                 block("d"), block("e"), exception("y")];
+
+    test.deepEqual(splitRules(rules, 7), [rules]);
+    test.deepEqual(
+      splitRules(rules, 4).map(list => list.map(
+        rule => rule.trigger["url-filter"]
+      )),
+      [["a", "b", "x", "y"], ["x", "c", "d", "y"], ["x", "e", "y"]]
+    );
+    test.throws(() => splitRules(rules, 2));
+    test.done();
+  },
+
+  testGenerateRuleLists: function(test)
+  {
+    let blockerList = new ContentBlockerList({ruleLimit: 3, merge: "none",
+                                              sourceMap: true});
+    for (let filter of ["/foo", "/bar", "/baz", "@@||example.com^$document"])
+      blockerList.addFilter(Filter.fromText(filter));
+
+    blockerList.generateRuleLists().then(lists =>
+    {
+      test.deepEqual(lists.map(list => list.map(
+        rule => [rule.trigger["url-filter"], rule.action.type]
+      )), [
+        [["^[^:]+:(//)?.*/foo", "block"],
+         ["^[^:]+:(//)?.*/bar", "block"],
+         [".*", "ignore-previous-rules"]],
+        [["^[^:]+:(//)?.*/baz", "block"],
+         [".*", "ignore-previous-rules"]]
+      ]);
+      test.deepEqual(blockerList.sourceMap.map(
+        sourceMap => sourceMap.map(sources => sources[0].filter)
+      ), [
+        ["/foo", "/bar", "@@||example.com^$document"],
+        ["/baz", "@@||example.com^$document"]
+      ]);
+      test.done();
+    });
+  }
+};
+
+exports.metadata = {
+  testMetadata: function(test)
+  {
+    let blockerList = new ContentBlockerList();
+    blockerList.addHeader("[Adblock Plus 2.0]");
+    for (let line of ["! Title: Example List", "! Version: 201901011200",
+                      "! Expires: 4 days (update frequency)",
+                      "! Homepage: https://example.com/", "! Some: comment",
+                      "! License: none", "||example.com^",
+                      "! Title: Not the title"])
+      blockerList.addFilter(Filter.fromText(line));
+
+    // Only the header of the first list is used.
+    blockerList.addHeader("[Adblock Plus 3.0]");
+
+    test.deepEqual(blockerList.metadata, {
+      minVersion: "2.0",
+      title: "Example List",
+      version: "201901011200",
+      expires: "4 days (update frequency)",
+      expiresSeconds: 4 * 24 * 60 * 60,
+      homepage: "https://example.com/"
+    });
+    test.done();
+  },
+
+  testExpires: function(test)
+  {
+    for (let [expires, expiresSeconds] of [["12 hours", 12 * 60 * 60],
+                                           ["12h", 12 * 60 * 60],
+                                           ["0 days", 60 * 60],
+                                           ["30 days", 14 * 24 * 60 * 60],
+                                           ["never", null]])
+    {
+      let blockerList = new ContentBlockerList();
+      blockerList.addFilter(Filter.fromText("! Expires: " + expires));
+      test.equal(blockerList.metadata.expiresSeconds, expiresSeconds, expires);
+    }
+    test.done();
+  }
+};
+
+exports.generateSnippets = {
+  testSnippets: function(test)
+  {
+    let blockerList = new ContentBlockerList({snippets: true});
+    for (let text of ["example.com#$#log 'Hello world'; log foo",
+                      "example.com,~www.example.com,~example.org#$#log bar",
+                      "foo.example.com,xn--mller-kva.com#$#" +
+                      "abort-on-property-read atob",
+                      "münchen.de#$#log ''",
+                      "example.com#$#;",
+                      "||example.com^"])
+      blockerList.addFilter(Filter.fromText(text));
+
+    test.deepEqual(blockerList.generateSnippets(), {
+      "example.com": [
+        {snippets: [["log", "Hello world"], ["log", "foo"]]},
+        {snippets: [["log", "bar"]], excludedDomains: ["www.example.com"]}
+      ],
+      "foo.example.com": [
+        {snippets: [["abort-on-property-read", "atob"]]}
+      ],
+      "xn--mller-kva.com": [
+        {snippets: [["abort-on-property-read", "atob"]]}
+      ],
+      "xn--mnchen-3ya.de": [
+        {snippets: [["log", ""]]}
+      ]
+    });
+    test.deepEqual(blockerList.report.toJSON().filters.filter(
+      ({status}) => status == "dropped"
+    ), [{filter: "example.com#$#;", status: "dropped",
+         reasons: ["snippet_empty"]}]);
+    test.done();
+  },
+
+  testSnippetsDisabled: function(test)
+  {
+    let blockerList = new ContentBlockerList();
+    blockerList.addFilter(Filter.fromText("example.com#$#log foo"));
+
+    test.deepEqual(blockerList.generateSnippets(), {});
+    test.equal(blockerList.report.toJSON().summary.dropped, 1);
+    test.done();
+  }
+};
+
+exports.generateEmulationFilters = {
+  testEmulationFilters: function(test)
+  {
+    let blockerList = new ContentBlockerList({emulation: true});
+    for (let text of ["example.com#?#div:-abp-contains(Ad)",
+                      "example.com,~www.example.com#?#" +
+                      "div:-abp-properties(width: 300px)",
+                      "example.com,example.org#?#span:-abp-contains(Ad)",
+                      "example.com#?#div:-abp-has(.ad)",
+                      "example.com##.ad"])
+      blockerList.addFilter(Filter.fromText(text));
+
+    test.deepEqual(blockerList.generateEmulationFilters(), {
+      "example.com": [
+        {selectors: ["div:-abp-contains(Ad)", "span:-abp-contains(Ad)",
+                     "div:-abp-has(.ad)"]},
+        {selectors: ["div:-abp-properties(width: 300px)"],
+         excludedDomains: ["www.example.com"]}
+      ],
+      "example.org": [
+        {selectors: ["span:-abp-contains(Ad)"]}
+      ]
+    });
+    test.equal(blockerList.report.toJSON().summary.dropped, 0);
+    test.done();
+  },
+
+  testEmulationFiltersHasSelector: function(test)
+  {
+    // Selectors using ":-abp-has()" are only converted into CSS if the target
+    // supports ":has()".
+    let filters = ["example.com#?#div:-abp-has(.ad)", "example.com#?#.ad"];
+
+    let blockerList = new ContentBlockerList({emulation: true,
+                                              target: "safari-15"});
+    for (let text of filters)
+      blockerList.addFilter(Filter.fromText(text));
+
+    blockerList.generateRules().then(rules =>
+    {
+      test.deepEqual(rules.map(rule => rule.action.selector), [".ad"]);
+      test.deepEqual(blockerList.generateEmulationFilters(), {
+        "example.com": [{selectors: ["div:-abp-has(.ad)"]}]
+      });
+      test.equal(blockerList.report.toJSON().summary.dropped, 0);
+
+      blockerList = new ContentBlockerList({emulation: true,
+                                            target: "safari-15.4"});
+      for (let text of filters)
+        blockerList.addFilter(Filter.fromText(text));
+
+      test.deepEqual(blockerList.generateEmulationFilters(), {});
+      test.done();
+    });
+  },
+
+  testEmulationFilterExceptions: function(test)
+  {
+    let blockerList = new ContentBlockerList({emulation: true});
+    for (let text of ["example.com,example.org,example.net#?#" +
+                      "div:-abp-contains(Ad)",
+                      "example.com#?#span:-abp-contains(Ad)",
+                      "example.org#@#div:-abp-contains(Ad)",
+                      "www.example.com#@#div:-abp-contains(Ad)",
+                      "#@#span:-abp-contains(Ad)",
+                      "@@||example.net^$elemhide",
+                      "@@||example.com/app/*$elemhide",
+                      "@@||example.com^$generichide"])
+      blockerList.addFilter(Filter.fromText(text));
+
+    test.deepEqual(blockerList.generateEmulationFilters(), {
+      "example.com": [
+        {selectors: ["div:-abp-contains(Ad)"],
+         excludedDomains: ["www.example.com"],
+         excludedURLs: ["^https?://([^/]+\\.)?example\\.com/app/"]}
+      ]
+    });
+    test.deepEqual(blockerList.report.toJSON().filters.filter(
+      ({status}) => status == "dropped"
+    ).map(({filter}) => filter), ["example.com#?#span:-abp-contains(Ad)"]);
+    test.done();
+  },
+
+  testEmulationDisabled: function(test)
+  {
+    let blockerList = new ContentBlockerList();
+    blockerList.addFilter(
+      Filter.fromText("example.com#?#div:-abp-contains(Ad)")
+    );
+
+    test.deepEqual(blockerList.generateEmulationFilters(), {});
+    test.equal(blockerList.report.toJSON().summary.dropped, 1);
+    test.done();
   }
 };
@@ -0,0 +1,186 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+let {Filter} = require("../adblockpluscore/lib/filterClasses");
+let {convertFilters, checkRegExp} = require("../lib/dnr.js");
+let {ConversionReport} = require("../lib/report.js");
+
+function testRules(test, blocking, exceptions, expected, genericblockDomains)
+{
+  let report = new ConversionReport();
+  let rules = convertFilters(blocking.map(Filter.fromText),
+                             exceptions.map(Filter.fromText),
+                             genericblockDomains || [], report);
+
+  test.deepEqual(rules.map(({rule}) => rule), expected);
+  return report;
+}
+
+exports.convertFilters = {
+  testBlockingFilters: function(test)
+  {
+    testRules(test, ["||example.com^", "/ads/*$image,script",
+                     "||*/banner.gif", "*", "/ad[0-9]+/$match-case"], [], [
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "||example.com^"}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "/ads/", resourceTypes: ["script", "image"]}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "*/banner.gif"}},
+      {priority: 1, action: {type: "block"}, condition: {}},
+      {priority: 1, action: {type: "block"},
+       condition: {regexFilter: "ad[0-9]+", isUrlFilterCaseSensitive: true}}
+    ]);
+    test.done();
+  },
+
+  testInternationalizedHostnames: function(test)
+  {
+    testRules(test, ["||münchen.de/werbung/ä.png",
+                     "foo$domain=münchen.de"], [], [
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "||xn--mnchen-3ya.de/werbung/%C3%A4.png"}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo", initiatorDomains: ["xn--mnchen-3ya.de"]}}
+    ]);
+    test.done();
+  },
+
+  testDomainsAndThirdParty: function(test)
+  {
+    testRules(test, ["foo$domain=a.com|b.com|~sub.a.com,third-party",
+                     "bar$domain=~a.com,~third-party", "baz"], [], [
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo", initiatorDomains: ["a.com", "b.com"],
+                   excludedInitiatorDomains: ["sub.a.com"],
+                   domainType: "thirdParty"}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "bar",
+                   excludedInitiatorDomains: ["a.com", "c.com"],
+                   domainType: "firstParty"}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "baz", excludedInitiatorDomains: ["c.com"]}}
+    ], ["c.com"]);
+    test.done();
+  },
+
+  testResourceTypes: function(test)
+  {
+    let report = testRules(test, ["foo$~image", "foo$document",
+                                  "foo$subdocument,object-subrequest",
+                                  "foo$popup", "foo$popup,websocket",
+                                  "foo$webrtc"], [], [
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo",
+                   resourceTypes: ["other", "script", "stylesheet", "object",
+                                   "sub_frame", "websocket", "ping",
+                                   "xmlhttprequest", "media", "font"]}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo", resourceTypes: ["main_frame"]}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo", resourceTypes: ["object", "sub_frame"]}},
+      {priority: 1, action: {type: "block"},
+       condition: {urlFilter: "foo", resourceTypes: ["websocket"]}}
+    ]);
+
+    test.deepEqual(report.toJSON().filters.filter(
+      ({status}) => status != "converted"
+    ), [
+      {filter: "foo$~image", status: "approximated",
+       reasons: ["resource_type_not_supported"]},
+      {filter: "foo$popup", status: "dropped",
+       reasons: ["resource_type_not_supported"]},
+      {filter: "foo$popup,websocket", status: "approximated",
+       reasons: ["resource_type_not_supported"]},
+      {filter: "foo$webrtc", status: "dropped",
+       reasons: ["resource_type_not_supported"]}
+    ]);
+    test.done();
+  },
+
+  testExceptions: function(test)
+  {
+    testRules(test, [], ["@@||example.com^$document",
+                         "@@||example.com/ads/$image",
+                         "@@||example.org^",
+                         "@@||example.net^$document,script"], [
+      {priority: 2, action: {type: "allowAllRequests"},
+       condition: {urlFilter: "||example.com^",
+                   resourceTypes: ["main_frame", "sub_frame"]}},
+      {priority: 2, action: {type: "allow"},
+       condition: {urlFilter: "||example.com/ads/", resourceTypes: ["image"]}},
+      {priority: 2, action: {type: "allow"},
+       condition: {urlFilter: "||example.org^"}},
+      {priority: 2, action: {type: "allowAllRequests"},
+       condition: {urlFilter: "||example.net^",
+                   resourceTypes: ["main_frame", "sub_frame"]}},
+      {priority: 2, action: {type: "allow"},
+       condition: {urlFilter: "||example.net^", resourceTypes: ["script"]}}
+    ]);
+    test.done();
+  },
+
+  testRewrite: function(test)
+  {
+    testRules(test, ["||example.com/ad.js$script,domain=a.com," +
+                     "rewrite=abp-resource:blank-js",
+                     "*$image,domain=a.com," +
+                     "rewrite=abp-resource:1x1-transparent-gif"], [], [
+      {priority: 1,
+       action: {type: "redirect",
+                redirect: {extensionPath: "/resources/blank-js.js"}},
+       condition: {urlFilter: "||example.com/ad.js",
+                   initiatorDomains: ["a.com"], resourceTypes: ["script"]}},
+      {priority: 1,
+       action: {type: "redirect",
+                redirect: {extensionPath:
+                             "/resources/1x1-transparent-gif.gif"}},
+       condition: {initiatorDomains: ["a.com"], resourceTypes: ["image"]}}
+    ]);
+
+    // Other rewrites can only be converted into blocking rules.
+    let report = new ConversionReport();
+    let rules = convertFilters(
+      [Filter.fromText("||example.com/ad.js$rewrite=/x/y")], [], [], report
+    );
+    test.deepEqual(rules.map(({rule}) => rule.action), [{type: "block"}]);
+    test.deepEqual(report.toJSON().filters[0].reasons,
+                   ["rewrite_as_block", "resource_type_not_supported"]);
+    test.done();
+  }
+};
+
+exports.checkRegExp = {
+  testCheckRegExp: function(test)
+  {
+    for (let [source, expected] of [
+      ["ad[0-9]+\\b", null],
+      ["(ad|banner)s{2,3}$", null],
+      ["[\\1(?=]", null],
+      ["\\\\1", null],
+      ["(a)\\1", "regexp_backreference"],
+      ["(?<a>x)\\k<a>", "regexp_backreference"],
+      ["(?!ad)s", "regexp_lookaround"],
+      ["(?<=ad)s", "regexp_lookaround"],
+      ["\\u0061", "regexp_unsupported_escape"],
+      ["a{1001}", "regexp_too_complex"]
+    ])
+      test.equal(checkRegExp(source), expected, source);
+    test.done();
+  }
+};
@@ -0,0 +1,193 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let {ContentBlockerEmulator} = require("../lib/emulator.js");
+
+function block(trigger)
+{
+  return {trigger, action: {type: "block"}};
+}
+
+function ignorePreviousRules(trigger)
+{
+  return {trigger, action: {type: "ignore-previous-rules"}};
+}
+
+function hide(trigger, selector)
+{
+  return {trigger, action: {type: "css-display-none", selector}};
+}
+
+function testActions(test, rules, requests)
+{
+  let emulator = new ContentBlockerEmulator(rules);
+  for (let [request, expected] of requests)
+  {
+    test.equal(emulator.evaluate(request).action, expected,
+               JSON.stringify(request));
+  }
+  test.done();
+}
+
+exports.evaluate = {
+  testURLFilter: function(test)
+  {
+    testActions(test, [block({"url-filter": "ads"}),
+                       block({"url-filter": "^https?://Foo",
+                              "url-filter-is-case-sensitive": true})], [
+      [{url: "https://example.com/ads.js"}, "block"],
+      [{url: "https://example.com/ADS.js"}, "block"],
+      [{url: "https://example.com/"}, null],
+      [{url: "https://Foo.com/"}, null],
+      [{url: "https://example.com/Foo"}, null],
+      [{url: "http://example.com/?Foo"}, null]
+    ]);
+  },
+
+  testResourceTypes: function(test)
+  {
+    testActions(test, [block({"url-filter": "img",
+                              "resource-type": ["image"]}),
+                       block({"url-filter": "xhr",
+                              "resource-type": ["raw"]})], [
+      [{url: "https://example.com/img", type: "image"}, "block"],
+      [{url: "https://example.com/img", type: "script"}, null],
+      [{url: "https://example.com/xhr"}, "block"],
+      [{url: "https://example.com/xhr", type: "fetch"}, "block"],
+      [{url: "https://example.com/xhr", type: "document"}, null]
+    ]);
+  },
+
+  testLoadTypeAndContext: function(test)
+  {
+    testActions(test, [block({"url-filter": "3p",
+                              "load-type": ["third-party"]}),
+                       block({"url-filter": "frame",
+                              "load-context": ["child-frame"]})], [
+      [{url: "https://ads.com/3p", topURL: "https://example.com/"}, "block"],
+      [{url: "https://cdn.example.com/3p", topURL: "https://example.com/"},
+       null],
+      [{url: "https://example.com/3p", topURL: "https://example.com/",
+        loadType: "third-party"}, "block"],
+      [{url: "https://example.com/frame", type: "document"}, null],
+      [{url: "https://ads.com/frame", type: "document",
+        topURL: "https://example.com/"}, "block"],
+      [{url: "https://example.com/frame", frameURL: "https://ads.com/",
+        topURL: "https://example.com/"}, "block"]
+    ]);
+  },
+
+  testDomains: function(test)
+  {
+    testActions(test, [block({"url-filter": "/a$", "if-domain": ["*a.com"]}),
+                       block({"url-filter": "/b$", "if-domain": ["b.com"]}),
+                       block({"url-filter": "/c$",
+                              "unless-domain": ["*c.com"]})], [
+      [{url: "https://x.com/a", topURL: "https://a.com/"}, "block"],
+      [{url: "https://x.com/a", topURL: "https://www.a.com/"}, "block"],
+      [{url: "https://x.com/a", topURL: "https://aa.com/"}, null],
+      [{url: "https://x.com/b", topURL: "https://b.com/"}, "block"],
+      [{url: "https://x.com/b", topURL: "https://www.b.com/"}, null],
+      [{url: "https://x.com/c", topURL: "https://www.c.com/"}, null],
+      [{url: "https://x.com/c", topURL: "https://x.com/"}, "block"],
+      [{url: "https://x.com/c", domain: "c.com"}, null]
+    ]);
+  },
+
+  testTopAndFrameURLs: function(test)
+  {
+    testActions(test, [block({"url-filter": "/a$",
+                              "unless-top-url": ["^https://a\\.com/"]}),
+                       block({"url-filter": "/b$",
+                              "if-top-url": ["^https://b\\.com/"]}),
+                       block({"url-filter": "/c$",
+                              "if-frame-url": ["^https://c\\.com/"]})], [
+      [{url: "https://x.com/a", topURL: "https://a.com/"}, null],
+      [{url: "https://x.com/a", topURL: "https://A.com/"}, null],
+      [{url: "https://x.com/a", topURL: "https://x.com/"}, "block"],
+      [{url: "https://x.com/b", topURL: "https://b.com/"}, "block"],
+      [{url: "https://x.com/b", topURL: "https://x.com/"}, null],
+      [{url: "https://x.com/c", frameURL: "https://c.com/"}, "block"],
+      [{url: "https://x.com/c", topURL: "https://c.com/"}, "block"],
+      [{url: "https://x.com/c", topURL: "https://x.com/"}, null]
+    ]);
+  },
+
+  testIgnorePreviousRules: function(test)
+  {
+    testActions(test, [block({"url-filter": "ads"}),
+                       ignorePreviousRules({"url-filter": "ok"}),
+                       block({"url-filter": "bad"})], [
+      [{url: "https://example.com/ads"}, "block"],
+      [{url: "https://example.com/ads/ok"}, null],
+      [{url: "https://example.com/ads/ok/bad"}, "block"]
+    ]);
+  },
+
+  testGetMatchingRules: function(test)
+  {
+    let emulator = new ContentBlockerEmulator([
+      block({"url-filter": "a"}),
+      hide({"url-filter": "a"}, ".ad"),
+      ignorePreviousRules({"url-filter": "ok"}),
+      block({"url-filter": "b"}),
+      block({"url-filter": "c"})
+    ]);
+
+    test.deepEqual(emulator.getMatchingRules({url: "https://a.org/"}), [0, 1]);
+    test.deepEqual(emulator.getMatchingRules({url: "https://a.org/ok/b/c"}),
+                   [3, 4]);
+    test.deepEqual(emulator.getMatchingRules({url: "https://x.org/"}), []);
+    test.done();
+  },
+
+  testSelectors: function(test)
+  {
+    let emulator = new ContentBlockerEmulator([
+      hide({"url-filter": "^https?://"}, ".ad, [title='a, b'], :not(a,b)"),
+      hide({"url-filter": "^https?://", "if-domain": ["*example.com"]},
+           "#banner"),
+      ignorePreviousRules({"url-filter": "^https?://",
+                           "if-domain": ["*example.org"]})
+    ]);
+
+    test.deepEqual(emulator.evaluate({url: "https://example.com/",
+                                      type: "document"}),
+                   {action: null,
+                    selectors: [".ad", "[title='a, b']", ":not(a,b)",
+                                "#banner"]});
+    test.deepEqual(emulator.evaluate({url: "https://example.org/",
+                                      type: "document"}),
+                   {action: null, selectors: []});
+    test.deepEqual(emulator.evaluate({url: "https://example.com/",
+                                      type: "image"}),
+                   {action: null, selectors: []});
+    test.done();
+  },
+
+  testInvalidRules: function(test)
+  {
+    test.throws(() => new ContentBlockerEmulator([{trigger: {},
+                                                   action: {type: "block"}}]));
+    test.throws(() => new ContentBlockerEmulator([
+      {trigger: {"url-filter": ".*"}, action: {type: "unknown"}}
+    ]));
+    test.done();
+  }
+};
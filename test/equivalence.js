@@ -0,0 +1,125 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let {Filter} = require("../adblockpluscore/lib/filterClasses");
+let {ContentBlockerList} = require("../lib/abp2blocklist.js");
+let {EquivalenceChecker} = require("../lib/equivalence.js");
+
+function runTest(test, assertions)
+{
+  // All the assertions are run in parallel but we wait for all of them to
+  // finish before moving on to the next test.
+  test.expect(assertions.length);
+  Promise.all(assertions).then(() => test.done());
+}
+
+function testCheck(test, filterTexts, requests, expected, transformFunction,
+                   options)
+{
+  let filters = filterTexts.map(text => Filter.fromText(text));
+  let blockerList = new ContentBlockerList(Object.assign({sourceMap: true},
+                                                         options));
+  for (let filter of filters)
+    blockerList.addFilter(filter);
+
+  return blockerList.generateRules().then(rules =>
+  {
+    let checker = new EquivalenceChecker(filters);
+    checker.addRuleList(rules, blockerList.sourceMap);
+
+    let result = checker.check(requests);
+    if (transformFunction)
+      result = transformFunction(result);
+
+    test.deepEqual(result, expected);
+  });
+}
+
+function getMismatches(result)
+{
+  let describe = ({filter, requests}) => [filter,
+                                          requests.map(request => request.url)];
+  return [result.falsePositives.map(describe),
+          result.falseNegatives.map(describe)];
+}
+
+exports.check = {
+  testMatching: function(test)
+  {
+    runTest(test, [
+      testCheck(test, ["||ads.com^", "@@||ads.com/ok/$image", "/banner\\d+/",
+                       "||tracker.com^$third-party"], [
+        {url: "https://ads.com/x.js", type: "script", domain: "news.com"},
+        {url: "https://ads.com/ok/x.png", type: "image", domain: "news.com"},
+        {url: "https://cdn.com/banner1.png", type: "IMAGE", domain: "news.com"},
+        {url: "https://tracker.com/t", type: "xmlhttprequest",
+         domain: "news.com"},
+        {url: "https://tracker.com/t", type: "xmlhttprequest",
+         domain: "tracker.com"},
+        {url: "https://example.com/", type: "image", domain: "news.com"}
+      ], {
+        summary: {requests: 6, matching: 6, falsePositives: 0,
+                  falseNegatives: 0},
+        falsePositives: [],
+        falseNegatives: []
+      })
+    ]);
+  },
+
+  testMismatches: function(test)
+  {
+    runTest(test, [
+      // Dropped and approximated filters.
+      testCheck(test, ["/ad(?!s)x/", "foo$domain=a.com|~b.a.com",
+                       "||ads.com^", "@@||example.com/path$document"], [
+        {url: "https://cdn.com/adx.png", type: "image", domain: "news.com"},
+        {url: "https://cdn.com/foo.png", type: "image", domain: "sub.a.com"},
+        {url: "https://cdn.com/foo.png", type: "image", domain: "www.a.com"},
+        {url: "https://ads.com/x.js", type: "script", domain: "example.com",
+         documentURL: "https://example.com/path"},
+        {url: "https://ads.com/x.js", type: "script", domain: "example.com",
+         documentURL: "https://example.com/"}
+      ], [
+        [["||ads.com^", ["https://ads.com/x.js"]]],
+        [["/ad(?!s)x/", ["https://cdn.com/adx.png"]],
+         ["foo$domain=a.com|~b.a.com", ["https://cdn.com/foo.png"]]]
+      ], getMismatches),
+
+      // Merged rules are attributed to all of their filters.
+      testCheck(test, ["||a.com^$image", "||b.com^$image",
+                       "@@||example.com/path$document"], [
+        {url: "https://a.com/", type: "image", domain: "example.com",
+         documentURL: "https://example.com/path"}
+      ], [
+        [["||a.com^$image", ["https://a.com/"]],
+         ["||b.com^$image", ["https://a.com/"]]],
+        []
+      ], getMismatches, {merge: "all"})
+    ]);
+  },
+
+  testUnknownType: function(test)
+  {
+    let checker = new EquivalenceChecker([]);
+    test.throws(() => checker.check([{url: "https://example.com/",
+                                      type: "unknown",
+                                      domain: "example.com"}]));
+    test.done();
+  }
+};
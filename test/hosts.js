@@ -0,0 +1,87 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+let {generateHostsList} = require("../lib/hosts.js");
+let {ConversionReport} = require("../lib/report.js");
+
+function testHostsList(test, blocked, allowed, format, expected)
+{
+  let report = new ConversionReport();
+  let lines = generateHostsList(
+    new Map(blocked.map(hostname => [hostname, [hostname]])),
+    new Map(allowed.map(hostname => [hostname, ["@@" + hostname]])),
+    format, report
+  );
+
+  test.deepEqual(lines.map(({line, filters}) => [line, filters]), expected,
+                 format);
+  return report;
+}
+
+exports.generateHostsList = {
+  testFormats: function(test)
+  {
+    let blocked = ["example.com", "ads.example.com", "tracker.org"];
+    let allowed = ["ok.example.com", "example.net"];
+
+    let report = testHostsList(test, blocked, allowed, "hosts", [
+      ["0.0.0.0 example.com", ["example.com"]],
+      ["0.0.0.0 ads.example.com", ["ads.example.com"]],
+      ["0.0.0.0 tracker.org", ["tracker.org"]]
+    ]);
+    // Hosts files don't block the subdomains of the hostnames.
+    test.equal(report.getStatus("example.com"), "approximated");
+    test.equal(report.getStatus("tracker.org"), "approximated");
+
+    report = testHostsList(test, blocked, allowed, "dnsmasq", [
+      ["address=/example.com/#", ["example.com", "ads.example.com"]],
+      ["address=/tracker.org/#", ["tracker.org"]],
+      ["server=/ok.example.com/#", ["@@ok.example.com"]]
+    ]);
+    test.equal(report.getStatus("example.com"), null);
+
+    testHostsList(test, blocked, allowed, "unbound", [
+      ["local-zone: \"example.com\" always_nxdomain",
+       ["example.com", "ads.example.com"]],
+      ["local-zone: \"tracker.org\" always_nxdomain", ["tracker.org"]],
+      ["local-zone: \"ok.example.com\" transparent", ["@@ok.example.com"]]
+    ]);
+    test.done();
+  },
+
+  testExceptions: function(test)
+  {
+    // Exceptions apply to the subdomains of the hostname as well.
+    let blocked = ["a.b.example.com", "b.example.com", "ads.tracker.org",
+                   "tracker.org", "example.net"];
+    let allowed = ["tracker.org", "a.example.net", "c.b.example.com"];
+
+    testHostsList(test, blocked, allowed, "hosts", [
+      ["0.0.0.0 a.b.example.com", ["a.b.example.com"]],
+      ["0.0.0.0 b.example.com", ["b.example.com"]],
+      ["0.0.0.0 example.net", ["example.net"]]
+    ]);
+    testHostsList(test, blocked, allowed, "dnsmasq", [
+      ["address=/b.example.com/#", ["b.example.com", "a.b.example.com"]],
+      ["address=/example.net/#", ["example.net"]],
+      ["server=/a.example.net/#", ["@@a.example.net"]],
+      ["server=/c.b.example.com/#", ["@@c.b.example.com"]]
+    ]);
+    test.done();
+  }
+};
@@ -0,0 +1,99 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+let vm = require("vm");
+let {generatePAC} = require("../lib/pac.js");
+
+function runPAC(lines, requests)
+{
+  let context = {};
+  vm.runInNewContext(lines.map(({line}) => line).join("\n"), context);
+  return requests.map(([url, host]) => context.FindProxyForURL(url, host));
+}
+
+exports.generatePAC = {
+  testLines: function(test)
+  {
+    let lines = generatePAC(
+      {hosts: new Map([["example.com", ["a"]], ["example.org", ["b"]]]),
+       urls: [{regexp: "/ads/", matchCase: false, filter: "c"}]},
+      {hosts: new Map(), urls: [{regexp: "ok", matchCase: true, filter: "d"}]},
+      "127.0.0.1:9"
+    );
+
+    test.deepEqual(lines.slice(0, 17), [
+      {line: "var proxy = \"PROXY 127.0.0.1:9\";", filters: []},
+      {line: "var blockedHosts = {", filters: []},
+      {line: "  \"example.com\": true,", filters: ["a"]},
+      {line: "  \"example.org\": true", filters: ["b"]},
+      {line: "};", filters: []},
+      {line: "var allowedHosts = {", filters: []},
+      {line: "};", filters: []},
+      {line: "var blockedURLs = [", filters: []},
+      {line: "  new RegExp([", filters: []},
+      {line: "    \"(?:/ads/)\"", filters: ["c"]},
+      {line: "  ].join(\"|\"), \"i\")", filters: []},
+      {line: "];", filters: []},
+      {line: "var allowedURLs = [", filters: []},
+      {line: "  new RegExp([", filters: []},
+      {line: "    \"(?:ok)\"", filters: ["d"]},
+      {line: "  ].join(\"|\"))", filters: []},
+      {line: "];", filters: []}
+    ]);
+    test.ok(lines.slice(17).every(({filters}) => filters.length == 0));
+    test.done();
+  },
+
+  testFindProxyForURL: function(test)
+  {
+    let lines = generatePAC(
+      {hosts: new Map([["example.com", []], ["ads.example.org", []]]),
+       urls: [{regexp: "/ads/", matchCase: false},
+              {regexp: "/Banner\\.gif", matchCase: true},
+              {regexp: "^https?://example\\.net/(ad|banner)$",
+               matchCase: false}]},
+      {hosts: new Map([["ok.example.com", []]]),
+       urls: [{regexp: "^https?://example\\.com/ok/", matchCase: false}]},
+      "127.0.0.1:9"
+    );
+
+    test.deepEqual(runPAC(lines, [
+      ["https://example.com/", "example.com"],
+      ["https://www.example.com/", "WWW.Example.com"],
+      ["https://example.com./", "example.com."],
+      ["https://ok.example.com/", "ok.example.com"],
+      ["https://www.ok.example.com/", "www.ok.example.com"],
+      ["http://example.com/ok/foo", "example.com"],
+      ["https://ads.example.org/", "ads.example.org"],
+      ["https://example.org/", "example.org"],
+      ["http://example.org/ADS/foo", "example.org"],
+      ["http://example.org/Banner.gif", "example.org"],
+      ["http://example.org/banner.gif", "example.org"],
+      ["https://notexample.com/", "notexample.com"],
+      ["http://example.net/banner", "example.net"],
+      ["http://example.net/banner/", "example.net"]
+    ]), [
+      "PROXY 127.0.0.1:9", "PROXY 127.0.0.1:9", "PROXY 127.0.0.1:9",
+      "DIRECT", "DIRECT", "DIRECT",
+      "PROXY 127.0.0.1:9", "DIRECT", "PROXY 127.0.0.1:9",
+      "PROXY 127.0.0.1:9", "DIRECT", "DIRECT",
+      "PROXY 127.0.0.1:9", "DIRECT"
+    ]);
+    test.done();
+  }
+};
@@ -0,0 +1,173 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let path = require("path");
+let {Preprocessor} = require("../lib/preprocessor.js");
+
+function createPreprocessor(files, options)
+{
+  return new Preprocessor(Object.assign({
+    readFile(file)
+    {
+      file = path.normalize(file);
+      if (!(file in files))
+        throw new Error("No such file: " + file);
+      return files[file];
+    }
+  }, options));
+}
+
+function describeLines(lines)
+{
+  return lines.map(({text, origin}) => origin.file + ":" + origin.line + " " +
+                                       text);
+}
+
+exports.process = {
+  testNoIncludes: function(test)
+  {
+    let preprocessor = createPreprocessor({});
+    test.deepEqual(preprocessor.process("[Adblock Plus 2.0]\r\n! Title: A\n" +
+                                        "||a.com^", "-"),
+                   [{text: "[Adblock Plus 2.0]", origin: {file: "-", line: 1}},
+                    {text: "! Title: A", origin: {file: "-", line: 2}},
+                    {text: "||a.com^", origin: {file: "-", line: 3}}]);
+    test.done();
+  },
+
+  testIncludes: function(test)
+  {
+    let preprocessor = createPreprocessor({
+      [path.join("lists", "b.txt")]: "[Adblock Plus 2.0]\n! Title: B\n" +
+                                     "||b.com^\n!#include sub/c.txt\n##.b",
+      [path.join("lists", "sub", "c.txt")]: "! Comment\n||c.com^\n" +
+                                            "!#include ../d.txt",
+      [path.join("lists", "d.txt")]: "||d.com^"
+    });
+
+    test.deepEqual(
+      describeLines(preprocessor.process(
+        "! Title: A\n||a.com^\n!#include b.txt\n##.a",
+        path.join("lists", "a.txt")
+      )),
+      ["lists/a.txt:1 ! Title: A",
+       "lists/a.txt:2 ||a.com^",
+       "lists/b.txt:3 ||b.com^",
+       "lists/sub/c.txt:2 ||c.com^",
+       "lists/d.txt:1 ||d.com^",
+       "lists/b.txt:5 ##.b",
+       "lists/a.txt:4 ##.a"].map(path.normalize)
+    );
+    test.done();
+  },
+
+  testConditions: function(test)
+  {
+    function testConditions(defines, text, expected)
+    {
+      let preprocessor = createPreprocessor({"b.txt": "||b.com^"}, {defines});
+      test.deepEqual(preprocessor.process(text, "a.txt").map(
+        line => line.text
+      ), expected, text);
+    }
+
+    let list = ["||a.com^",
+                "!#if ext_safari",
+                "||safari.com^",
+                "!#if env_mobile",
+                "||mobile.com^",
+                "!#else",
+                "||desktop.com^",
+                "!#endif",
+                "!#else",
+                "!#include b.txt",
+                "!#endif",
+                "##.a"].join("\n");
+
+    testConditions([], list, ["||a.com^", "||b.com^", "##.a"]);
+    testConditions(["ext_safari"], list,
+                   ["||a.com^", "||safari.com^", "||desktop.com^", "##.a"]);
+    testConditions(["ext_safari", "env_mobile"], list,
+                   ["||a.com^", "||safari.com^", "||mobile.com^", "##.a"]);
+    testConditions(["env_mobile"], list, ["||a.com^", "||b.com^", "##.a"]);
+
+    for (let [condition, defines, expected] of [
+      ["a && b", ["a", "b"], true],
+      ["a && b", ["a"], false],
+      ["a || b", ["b"], true],
+      ["!a", [], true],
+      ["!(a || b) && c", ["c"], true],
+      ["!(a || b) && c", ["b", "c"], false],
+      ["a || b && c", ["a"], true],
+      ["(a||b)&&!c", ["b"], true]
+    ])
+    {
+      testConditions(defines, "!#if " + condition + "\nyes\n!#endif",
+                     expected ? ["yes"] : []);
+    }
+
+    test.done();
+  },
+
+  testInvalidConditions: function(test)
+  {
+    let preprocessor = createPreprocessor({"b.txt": "!#if a"});
+
+    for (let text of ["!#if a", "!#endif", "!#if a\n!#else\n!#else\n!#endif",
+                      "!#if\n!#endif", "!#if a &&\n!#endif",
+                      "!#if (a\n!#endif", "!#if a & b\n!#endif",
+                      "!#include b.txt"])
+      test.throws(() => preprocessor.process(text, "a.txt"), text);
+
+    test.done();
+  },
+
+  testInvalidIncludes: function(test)
+  {
+    let preprocessor = createPreprocessor({
+      "a.txt": "!#include b.txt",
+      "b.txt": "!#include a.txt",
+      [path.join("sub", "c.txt")]: "!#include ../a.txt"
+    });
+
+    test.throws(() => preprocessor.process("!#include a.txt", "a.txt"),
+                /Recursive include/);
+    test.throws(() => preprocessor.process("!#include missing.txt", "-"),
+                /No such file/);
+    test.throws(() => preprocessor.process("!#include ../a.txt", "-"),
+                /outside/);
+    test.throws(() => preprocessor.process("!#include /etc/hosts", "-"),
+                /relative/);
+    test.throws(() => preprocessor.process(
+      "!#include https://example.com/list.txt", "-"
+    ), /relative/);
+    test.throws(() => preprocessor.process("!#include c.txt",
+                                           path.join("sub", "a.txt")),
+                /outside/);
+
+    preprocessor = createPreprocessor({
+      "a.txt": "||a.com^",
+      [path.join("sub", "c.txt")]: "!#include ../a.txt"
+    }, {baseDir: "."});
+    test.deepEqual(describeLines(preprocessor.process(
+      "!#include c.txt", path.join("sub", "b.txt")
+    )), ["a.txt:1 ||a.com^"]);
+    test.done();
+  }
+};
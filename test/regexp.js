@@ -0,0 +1,104 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let {translateRegExp} = require("../lib/regexp.js");
+
+function testTranslations(test, translations)
+{
+  for (let [source, regexps, reasons] of translations)
+  {
+    test.deepEqual(translateRegExp(source),
+                   {regexps, reasons: reasons || []}, source);
+  }
+  test.done();
+}
+
+exports.translateRegExp = {
+  testLiterals: function(test)
+  {
+    testTranslations(test, [
+      ["foo", ["foo"]],
+      ["^https?:\\/\\/ad\\.", ["^https?://ad\\."]],
+      ["\\.js$", ["\\.js$"]],
+      ["a\\{\\}\\|b", ["a\\{\\}\\|b"]],
+      ["a{b", ["a\\{b"]],
+      ["\\x41\\u0042", ["AB"]]
+    ]);
+  },
+
+  testCharacterClasses: function(test)
+  {
+    testTranslations(test, [
+      ["\\d\\w", ["[0-9][A-Za-z0-9_]"]],
+      ["\\D\\W", ["[^0-9][^A-Za-z0-9_]"]],
+      ["[\\d\\-_]", ["[0-9\\-_]"]],
+      ["[^\\/]+", ["[^/]+"]],
+      ["[a-z-]", ["[a-z\\-]"]],
+      ["[\\w.]", ["[A-Za-z0-9_.]"]]
+    ]);
+  },
+
+  testQuantifiers: function(test)
+  {
+    testTranslations(test, [
+      ["a*b+c?", ["a*b+c?"]],
+      ["a+?b*?", ["a+b*"]],
+      ["a{3}", ["aaa"]],
+      ["a{1,3}", ["aa?a?"]],
+      ["a{0,2}", ["a?a?"]],
+      ["a{2,}", ["aa+"]],
+      ["a{0,}", ["a*"]],
+      ["(ab){2}", ["(ab)(ab)"]],
+      ["\\d{1,100}", ["[0-9]+"], ["regexp_repetition"]],
+      ["a{40}", ["a".repeat(32) + "+"], ["regexp_repetition"]]
+    ]);
+  },
+
+  testAlternation: function(test)
+  {
+    testTranslations(test, [
+      ["foo|bar", ["foo", "bar"]],
+      ["ads\\.(com|net)\\/", ["ads\\.com/", "ads\\.net/"]],
+      ["(?:^|\\/)ads\\/", ["^ads/", "/ads/"]],
+      ["(a|b)(c|d)", ["ac", "ad", "bc", "bd"]],
+      ["(a|a)", ["a"]],
+      ["(a|b|\\d)+", ["[ab0-9]+"]],
+      ["(?<name>a|b)", ["a", "b"]],
+      ["(ab|cd)+", [], ["regexp_alternation"]],
+      ["(a|.)+", [], ["regexp_alternation"]],
+      ["(a|b)(c|d)(e|f)(g|h)(i|j)", [], ["regexp_too_complex"]]
+    ]);
+  },
+
+  testUnsupported: function(test)
+  {
+    testTranslations(test, [
+      ["a(?=b)", [], ["regexp_lookaround"]],
+      ["(?<!a)b", [], ["regexp_lookaround"]],
+      ["(a)\\1", [], ["regexp_backreference"]],
+      ["\\bad\\b", [], ["regexp_word_boundary"]],
+      ["a\\sb", [], ["regexp_unsupported_escape"]],
+      ["a$b", [], ["regexp_anchor"]],
+      ["a(^b|c)", [], ["regexp_anchor"]],
+      ["(^a)+", [], ["regexp_anchor"]],
+      ["ä", [], ["regexp_non_ascii"]],
+      ["[]", [], ["regexp_syntax"]]
+    ]);
+  }
+};
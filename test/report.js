@@ -0,0 +1,235 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let {Filter} = require("../adblockpluscore/lib/filterClasses");
+let {ContentBlockerList} = require("../lib/abp2blocklist.js");
+let {ConversionReport} = require("../lib/report.js");
+
+function runTest(test, assertions)
+{
+  // All the assertions are run in parallel but we wait for all of them to
+  // finish before moving on to the next test.
+  test.expect(assertions.length);
+  Promise.all(assertions).then(() => test.done());
+}
+
+function testReport(test, filters, expected, options)
+{
+  let blockerList = new ContentBlockerList(options);
+  for (let filter of filters)
+    blockerList.addFilter(Filter.fromText(filter));
+
+  return blockerList.generateRules().then(() =>
+  {
+    let entries = blockerList.report.toJSON().filters;
+    test.deepEqual(entries.map(entry => [entry.filter, entry.status,
+                                         entry.reasons]),
+                   expected);
+  });
+}
+
+exports.conversionReport = {
+  testStatus: function(test)
+  {
+    let report = new ConversionReport();
+    let foo = Filter.fromText("foo");
+    let bar = Filter.fromText("bar");
+
+    report.converted(foo);
+    test.equal(report.getStatus(foo), "converted");
+    report.dropped(foo, "a");
+    report.approximated(foo, "b");
+    report.dropped(foo, "a");
+    test.equal(report.getStatus(foo), "dropped");
+    test.equal(report.getStatus(bar), null);
+
+    report.approximated(bar, "c");
+
+    test.deepEqual(report.toJSON(), {
+      summary: {converted: 0, approximated: 1, dropped: 1},
+      filters: [
+        {filter: "foo", status: "dropped", reasons: ["a", "b"]},
+        {filter: "bar", status: "approximated", reasons: ["c"]}
+      ]
+    });
+    test.done();
+  },
+
+  testStrategies: function(test)
+  {
+    let report = new ConversionReport();
+    report.strategy("genericblock", "unless-domain",
+                    {"unless-domain": 100, "exception-rules": 50});
+
+    test.deepEqual(report.toJSON(), {
+      summary: {converted: 0, approximated: 0, dropped: 0},
+      filters: [],
+      strategies: {
+        genericblock: {strategy: "unless-domain",
+                       sizes: {"unless-domain": 100, "exception-rules": 50}}
+      }
+    });
+
+    let filters = ["@@||example.com^$genericblock",
+                   "@@||example.org^$genericblock"];
+    for (let i = 0; i < 10; i++)
+      filters.push("/ad" + i + ".");
+
+    let results = ["unless-domain", "exception-rules"].map(genericblock =>
+    {
+      let blockerList = new ContentBlockerList({genericblock});
+      for (let filter of filters)
+        blockerList.addFilter(Filter.fromText(filter));
+
+      return blockerList.generateRules().then(() =>
+        blockerList.report.toJSON().strategies.genericblock
+      );
+    });
+
+    Promise.all(results).then(([unlessDomain, exceptionRules]) =>
+    {
+      test.equal(unlessDomain.strategy, "unless-domain");
+      test.equal(exceptionRules.strategy, "exception-rules");
+      test.deepEqual(unlessDomain.sizes, exceptionRules.sizes);
+      test.ok(unlessDomain.sizes["unless-domain"] >
+              unlessDomain.sizes["exception-rules"]);
+      test.done();
+    });
+  },
+
+  testDroppedFilters: function(test)
+  {
+    runTest(test, [
+      testReport(test, ["! comment", "foo$sitekey=bar", "||xn--🐈.cat^",
+                        "/(?!ad)s/", "foo$unknown", "foo$csp=script-src 'none'",
+                        "example.com#?#div:-abp-has(.ad)",
+                        "example.com#?#div:-abp-contains(Ad)",
+                        "example.com#?#div:-abp-properties(width: 300px)",
+                        "example.com#?#div:-abp-foo(bar)",
+                        "example.com#$#log foo"], [
+        ["foo$sitekey=bar", "dropped", ["sitekey"]],
+        ["||xn--🐈.cat^", "dropped", ["invalid_hostname"]],
+        ["/(?!ad)s/", "dropped", ["regexp_lookaround"]],
+        ["foo$unknown", "dropped", ["filter_unknown_option"]],
+        ["foo$csp=script-src 'none'", "dropped", ["csp"]],
+        ["example.com#?#div:-abp-has(.ad)", "dropped",
+         ["unsupported_selector"]],
+        ["example.com#?#div:-abp-contains(Ad)", "dropped",
+         ["elemhide_emulation_contains"]],
+        ["example.com#?#div:-abp-properties(width: 300px)", "dropped",
+         ["elemhide_emulation_properties"]],
+        ["example.com#?#div:-abp-foo(bar)", "dropped", ["elemhide_emulation"]],
+        ["example.com#$#log foo", "dropped", ["snippet"]]
+      ]),
+      testReport(test, ["foo$document", "foo$subdocument", "@@foo$csp"], [
+        ["foo$document", "dropped", ["no_resource_types"]],
+        ["foo$subdocument", "dropped",
+         ["subdocument_not_blocked", "no_resource_types"]],
+        ["@@foo$csp", "dropped", ["no_resource_types"]]
+      ]),
+      testReport(test, ["##.foo", "~example.com#@#.foo"], [
+        ["##.foo", "dropped", ["elemhide_selector_exception"]],
+        ["~example.com#@#.foo", "approximated",
+         ["elemhide_exception_all_domains"]]
+      ])
+    ]);
+  },
+
+  testApproximatedFilters: function(test)
+  {
+    runTest(test, [
+      testReport(test, [
+        "||example.com^", "/ad[0-9]{40}/$image", "/foo",
+        "foo$domain=a.com|~b.a.com",
+        "||example.com/$rewrite=abp-resource:blank-js,domain=a.com"
+      ], [
+        ["||example.com^", "converted", []],
+        ["/ad[0-9]{40}/$image", "approximated", ["regexp_repetition"]],
+        ["/foo", "approximated", ["subdocument_not_blocked"]],
+        ["foo$domain=a.com|~b.a.com", "approximated",
+         ["subdocument_not_blocked", "subdomain_exclusion"]],
+        ["||example.com/$rewrite=abp-resource:blank-js,domain=a.com",
+         "approximated", ["rewrite_as_block"]]
+      ]),
+      testReport(test, ["@@||example.com^$document",
+                        "@@||example.com/path$document",
+                        "@@||example.com/path$document,image"], [
+        ["@@||example.com^$document", "converted", []],
+        ["@@||example.com/path$document", "dropped",
+         ["document_whitelist_not_hostname", "no_resource_types"]],
+        ["@@||example.com/path$document,image", "approximated",
+         ["document_whitelist_not_hostname"]]
+      ]),
+      testReport(test, ["@@||example.com^$document,domain=a.com",
+                        "@@||example.com^$document,image,third-party"], [
+        ["@@||example.com^$document,domain=a.com", "dropped",
+         ["document_whitelist_restricted", "no_resource_types"]],
+        ["@@||example.com^$document,image,third-party", "approximated",
+         ["document_whitelist_restricted"]]
+      ]),
+      testReport(test, ["@@||example.com/path$document",
+                        "@@||example.com/path$document,domain=a.com",
+                        "@@||example.com/path$document,image,third-party"], [
+        ["@@||example.com/path$document", "converted", []],
+        ["@@||example.com/path$document,domain=a.com", "dropped",
+         ["document_whitelist_restricted", "no_resource_types"]],
+        ["@@||example.com/path$document,image,third-party", "approximated",
+         ["document_whitelist_restricted"]]
+      ], {target: "safari-11"}),
+      testReport(test, ["@@||example.com^$elemhide",
+                        "@@||example.com/path$generichide",
+                        "@@/path$generichide",
+                        "@@||example.com/path$genericblock",
+                        "@@foo$genericblock"], [
+        ["@@||example.com^$elemhide", "approximated",
+         ["elemhide_exception_top_level_only"]],
+        ["@@||example.com/path$generichide", "approximated",
+         ["elemhide_exception_hostname_only"]],
+        ["@@/path$generichide", "dropped",
+         ["elemhide_exception_not_hostname"]],
+        ["@@||example.com/path$genericblock", "approximated",
+         ["genericblock_hostname_only"]],
+        ["@@foo$genericblock", "dropped", ["genericblock_no_hostname"]]
+      ]),
+      testReport(test, ["@@||example.com^$elemhide",
+                        "@@/path/*$generichide"], [
+        ["@@||example.com^$elemhide", "converted", []],
+        ["@@/path/*$generichide", "converted", []]
+      ], {target: "safari-15"}),
+      testReport(test, ["@@||example.com/path$genericblock"], [
+        ["@@||example.com/path$genericblock", "converted", []]
+      ], {target: "safari-11"}),
+      testReport(test, ["@@||example.com/path$generichide",
+                        "@@/path$generichide"], [
+        ["@@||example.com/path$generichide", "approximated",
+         ["elemhide_exception_top_level_only"]],
+        ["@@/path$generichide", "approximated",
+         ["elemhide_exception_top_level_only"]]
+      ], {target: "safari-11"}),
+      testReport(test, ["##.foo", "example.com#@#.foo", "~example.com##.ad",
+                        "example.com,~www.example.com#@#.bar"], [
+        ["##.foo", "converted", []],
+        ["example.com#@#.foo", "converted", []],
+        ["~example.com##.ad", "converted", []],
+        ["example.com,~www.example.com#@#.bar", "approximated",
+         ["elemhide_exception_subdomains"]]
+      ])
+    ]);
+  }
+};
@@ -0,0 +1,44 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+let {parseScript} = require("../lib/snippets.js");
+
+exports.parseScript = {
+  testParseScript: function(test)
+  {
+    for (let [script, expected] of [
+      ["log", [["log"]]],
+      ["log foo bar", [["log", "foo", "bar"]]],
+      ["  log   foo  ", [["log", "foo"]]],
+      ["log foo; log bar;", [["log", "foo"], ["log", "bar"]]],
+      ["log 'foo bar'", [["log", "foo bar"]]],
+      ["log 'foo; bar' baz", [["log", "foo; bar", "baz"]]],
+      ["log foo' 'bar", [["log", "foo bar"]]],
+      ["log ''", [["log", ""]]],
+      ["log '' foo", [["log", "", "foo"]]],
+      ["log foo\\ bar\\;", [["log", "foo bar;"]]],
+      ["log \\'foo\\' \\\\", [["log", "'foo'", "\\"]]],
+      ["log \\n\\r\\t", [["log", "\n\r\t"]]],
+      ["log \\u0041\\u00e9", [["log", "Aé"]]],
+      ["log \\uzzzzfoo", [["log", "foo"]]],
+      [";; ;", []]
+    ])
+      test.deepEqual(parseScript(script), expected, script);
+    test.done();
+  }
+};